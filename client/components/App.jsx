@@ -1,19 +1,92 @@
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import logo from "/assets/openai-logomark.svg";
 import SessionControls from "./SessionControls";
-import entryVideoAsset from "/assets/2_Entry.mp4";
-import idleVideoAsset from "/assets/1_idle_listening.mp4";
-import talkingVideoAsset from "/assets/3_Talking.mp4";
+import DeviceCheck from "./DeviceCheck";
+import ToolPanel from "./ToolPanel";
+import TextAnswerInput from "./TextAnswerInput";
+import Captions from "./Captions";
+import InterviewerAvatar from "./InterviewerAvatar";
+import { applyCaptionEvent } from "../lib/captions";
+import { createEventUploader } from "../lib/eventUploader";
+import { formatTime } from "../lib/format";
+import {
+  ConnectionError,
+  INTERVIEW_SECRET_HEADER,
+  REALTIME_FLOW,
+  requestAnswer,
+} from "../lib/realtime";
+import { reportClientError } from "../lib/clientLog";
+import { createInterviewRecorder } from "../lib/recorder";
+import { createProctor } from "../lib/proctoring";
+import { createLevelAnalyser } from "../lib/audioLevel";
+import { createToolRunner, sessionTools } from "../lib/tools";
+import { I18nProvider, createTranslator } from "../i18n";
+import {
+  DEFAULT_SPEAKER,
+  applySpeakerSettings,
+  loadSpeakerSettings,
+  saveSpeakerSettings,
+} from "../lib/speaker";
+
+// Candidates arrive through an invite link carrying ?invite=<token>
+const TIME_UP_FALLBACK_MS = 20000; // end locally if the model never calls complete_interview
+const DISCONNECT_GRACE_MS = 5000; // how long "disconnected" may last before reconnecting
+const MAX_RECONNECT_ATTEMPTS = 3;
+const RECONNECT_BACKOFF_MS = 2000; // grows linearly with each attempt
+const RESUME_HISTORY_CHARS = 6000; // most recent conversation replayed on resume
+
+// Catalog keys for the error codes of refusals and failed connections a
+// candidate can run into; other codes get a generic message
+const ERROR_MESSAGES = {
+  invite_missing: "invite.missing",
+  invite_invalid: "invite.invalid",
+  invite_expired: "invite.expired",
+  invite_used: "invite.used",
+  interview_closed: "connection.closed",
+  rate_limited: "connection.rateLimited",
+  timeout: "connection.timeout",
+  network: "connection.network",
+};
+
+function getInviteToken() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get("invite");
+}
 
 export default function App() {
+  const [template, setTemplate] = useState(null);
+  // UI strings follow the template's interview language
+  const t = useMemo(
+    () => createTranslator(template?.language),
+    [template?.language],
+  );
+  const [candidateName, setCandidateName] = useState("");
+  const [inviteError, setInviteError] = useState(""); // catalog key
+  const [connectionError, setConnectionError] = useState(""); // catalog key
+  const inviteTokenRef = useRef(null);
   const [isSessionActive, setIsSessionActive] = useState(false);
   const [events, setEvents] = useState([]);
+  const [captions, setCaptions] = useState([]);
+  const [showCaptions, setShowCaptions] = useState(true);
+  const [isCandidateSpeaking, setIsCandidateSpeaking] = useState(false);
   const [dataChannel, setDataChannel] = useState(null);
   const peerConnection = useRef(null);
+  const micStreamRef = useRef(null);
+  const resumeOnOpenRef = useRef(false);
+  const reconnectingRef = useRef(false);
+  const [connectionStatus, setConnectionStatus] = useState("connected"); // connected | reconnecting | failed
   const audioElement = useRef(null);
-  const interviewerVideoRef = useRef(null);
+  const [speaker, setSpeaker] = useState(DEFAULT_SPEAKER);
+  const [micMuted, setMicMuted] = useState(false);
+  const [pushToTalk, setPushToTalk] = useState(false);
+  const pushToTalkRef = useRef(false);
+  const [isTalking, setIsTalking] = useState(false); // push-to-talk held down
   const cameraVideoRef = useRef(null);
   const cameraStreamRef = useRef(null);
+  const remoteStreamRef = useRef(null);
+  const recorderRef = useRef(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const proctorRef = useRef(null);
   const [interviewerState, setInterviewerState] = useState("idle"); // entry | idle | talking
   const talkingTimeoutRef = useRef(null);
   const TALKING_HOLD_MS = 4000; // keep talking state unless no deltas for this duration
@@ -25,98 +98,385 @@ export default function App() {
   const VAD_START_THRESHOLD = 0.04; // RMS to start talking
   const VAD_STOP_THRESHOLD = 0.02; // RMS to consider silence
   const VAD_REQUIRED_SILENCE_MS = 300; // how long silence to switch to idle
-  const [remainingSeconds, setRemainingSeconds] = useState(600); // 10 minutes
+  const [remainingSeconds, setRemainingSeconds] = useState(0);
   const timerRef = useRef(null);
+  const endsAtRef = useRef(0);
+  const wrapUpSentRef = useRef(false);
+  const timeUpRef = useRef(false);
+  const timeUpFallbackRef = useRef(null);
   const [isInterviewCompleted, setIsInterviewCompleted] = useState(false);
   const [completionSummary, setCompletionSummary] = useState("");
   const [completionReason, setCompletionReason] = useState("");
-  const toolCallBuffersRef = useRef({});
   const [pendingCompletion, setPendingCompletion] = useState(null);
+  const interviewIdRef = useRef(null);
+  const interviewSecretRef = useRef(null); // authorises uploads to the interview
+  const eventUploaderRef = useRef(null);
+  const completionSavedRef = useRef(false);
+  // 0-based index of the question being asked, plus what happened to earlier ones
+  const [questionProgress, setQuestionProgress] = useState({
+    current: 0,
+    answered: [],
+    skipped: [],
+  });
 
-  async function startSession() {
+  // Connect with the devices the candidate checked on the pre-flight screen.
+  // Resolves to whether the interview started; until it has, the streams
+  // still belong to the device check.
+  async function startSession({ micStream, cameraStream, recordingConsent }) {
+    if (!template) {
+      console.error("Cannot start session before the interview template loads");
+      return false;
+    }
     // Prevent overlapping sessions
     if (peerConnection.current) {
       stopSession();
     }
-    // Get a session token for OpenAI Realtime API
-    const tokenResponse = await fetch("/token");
-    const data = await tokenResponse.json();
-    const EPHEMERAL_KEY = data.value;
+    setConnectionError("");
+
+    // The same microphone track is reused if the connection has to be
+    // re-established
+    micStreamRef.current = micStream;
+    cameraStreamRef.current = cameraStream;
+
+    let answer;
+    try {
+      answer = await connect(false);
+    } catch (err) {
+      console.error("Failed to start the Realtime session", err);
+      reportClientError("Failed to start the Realtime session", {
+        error: err,
+        context: { flow: REALTIME_FLOW },
+      });
+      micStreamRef.current = null;
+      cameraStreamRef.current = null;
+      setConnectionError(
+        (err instanceof ConnectionError && ERROR_MESSAGES[err.code]) ||
+          "connection.error",
+      );
+      return false;
+    }
+
+    // Everything that happens on the data channel is recorded server-side
+    interviewIdRef.current = answer.interviewId;
+    interviewSecretRef.current = answer.secret;
+    eventUploaderRef.current = createEventUploader(
+      answer.interviewId,
+      answer.secret,
+    );
+    completionSavedRef.current = false;
+    // The server owns the deadline; the countdown just mirrors it
+    endsAtRef.current = Date.parse(answer.endsAt);
+    wrapUpSentRef.current = false;
+    timeUpRef.current = false;
+    setQuestionProgress({ current: 0, answered: [], skipped: [] });
+
+    if (recordingConsent) {
+      startRecording(answer.interviewId);
+    }
+    if (template.proctoring) {
+      startProctoring();
+    }
+    return true;
+  }
+
+  // Opt-in recording of the candidate's camera and both sides of the audio
+  function startRecording(interviewId) {
+    try {
+      recorderRef.current = createInterviewRecorder(interviewId, {
+        secret: interviewSecretRef.current,
+        micStream: micStreamRef.current,
+        cameraStream: cameraStreamRef.current,
+      });
+      if (remoteStreamRef.current) {
+        recorderRef.current.setRemoteStream(remoteStreamRef.current);
+      }
+      setIsRecording(true);
+    } catch (err) {
+      console.warn("Recording is not available in this browser", err);
+    }
+  }
+
+  // Integrity signals go into the interview record with the other events
+  function startProctoring() {
+    proctorRef.current = createProctor({
+      video: cameraStreamRef.current ? cameraVideoRef.current : null,
+      onSignal: (signal, details) => {
+        eventUploaderRef.current?.push({
+          type: "interview.proctoring",
+          event_id: crypto.randomUUID(),
+          signal,
+          ...details,
+        });
+      },
+    });
+  }
 
+  function stopProctoring() {
+    if (proctorRef.current) {
+      proctorRef.current.stop();
+      proctorRef.current = null;
+    }
+  }
+
+  function stopRecording() {
+    if (recorderRef.current) {
+      recorderRef.current.stop();
+      recorderRef.current = null;
+    }
+    setIsRecording(false);
+  }
+
+  // Open a peer connection and data channel to the model. With `resume` the
+  // server reconnects us to the interview already under way.
+  async function connect(resume) {
     // Create a peer connection
     const pc = new RTCPeerConnection();
 
     // Set up to play remote audio from the model
     audioElement.current = document.createElement("audio");
     audioElement.current.autoplay = true;
+    applySpeakerSettings(audioElement.current, speaker);
     pc.ontrack = (e) => {
       const stream = e.streams[0];
       audioElement.current.srcObject = stream;
+      remoteStreamRef.current = stream;
+      recorderRef.current?.setRemoteStream(stream);
       setupVoiceActivityDetection(stream);
     };
 
-    // Add local audio track for microphone input in the browser
-    const micStream = await navigator.mediaDevices.getUserMedia({
-      audio: true,
-    });
-    pc.addTrack(micStream.getTracks()[0]);
+    pc.addTrack(micStreamRef.current.getAudioTracks()[0]);
 
-    // Ask for camera permission and show local preview on the right (not shared with model)
+    // Set up data channel for sending and receiving events
+    const dc = pc.createDataChannel("oai-events");
+
+    // Start the session using the Session Description Protocol (SDP)
+    let answer;
     try {
-      const camStream = await navigator.mediaDevices.getUserMedia({
-        video: true,
-        audio: false,
-      });
-      cameraStreamRef.current = camStream;
-      if (cameraVideoRef.current) {
-        cameraVideoRef.current.srcObject = camStream;
-        await cameraVideoRef.current.play().catch(() => {});
-      }
+      const offer = await pc.createOffer();
+      await pc.setLocalDescription(offer);
+      answer = await requestAnswer(
+        inviteTokenRef.current,
+        offer.sdp,
+        resume ? interviewIdRef.current : undefined,
+      );
+      await pc.setRemoteDescription({ type: "answer", sdp: answer.sdp });
     } catch (err) {
-      console.warn("Camera access denied or unavailable", err);
+      pc.close();
+      throw err;
     }
 
-    // Set up data channel for sending and receiving events
-    const dc = pc.createDataChannel("oai-events");
+    resumeOnOpenRef.current = resume;
+    watchConnection(pc, dc);
+    peerConnection.current = pc;
     setDataChannel(dc);
+    return answer;
+  }
 
-    // Start the session using the Session Description Protocol (SDP)
-    const offer = await pc.createOffer();
-    await pc.setLocalDescription(offer);
+  // Treat a failed peer connection or an unexpectedly closed data channel as
+  // a dropped session. "disconnected" often recovers on its own, so it only
+  // counts once it has lasted a few seconds.
+  function watchConnection(pc, dc) {
+    const isCurrent = () => peerConnection.current === pc;
+    let disconnectTimer = null;
 
-    const baseUrl = "https://api.openai.com/v1/realtime/calls";
-    const model = "gpt-realtime";
-    const sdpResponse = await fetch(`${baseUrl}?model=${model}`, {
+    pc.addEventListener("connectionstatechange", () => {
+      clearTimeout(disconnectTimer);
+      if (!isCurrent()) return;
+      if (pc.connectionState === "failed") {
+        handleConnectionLost();
+      } else if (pc.connectionState === "disconnected") {
+        disconnectTimer = setTimeout(() => {
+          if (isCurrent() && pc.connectionState === "disconnected") {
+            handleConnectionLost();
+          }
+        }, DISCONNECT_GRACE_MS);
+      }
+    });
+    dc.addEventListener("close", () => {
+      if (isCurrent()) handleConnectionLost();
+    });
+    dc.addEventListener("error", (e) => {
+      console.warn("Data channel error", e);
+      if (isCurrent()) handleConnectionLost();
+    });
+  }
+
+  // Close the current connection but keep the microphone, timer and
+  // interview record so the session can be resumed
+  function teardownConnection() {
+    const pc = peerConnection.current;
+    peerConnection.current = null;
+    if (pc) pc.close();
+    if (audioElement.current) {
+      audioElement.current.srcObject = null;
+    }
+    setDataChannel(null);
+  }
+
+  // Re-establish a dropped session for the same interview, with backoff
+  async function handleConnectionLost() {
+    if (reconnectingRef.current || completionSavedRef.current) return;
+    reconnectingRef.current = true;
+    setConnectionStatus("reconnecting");
+    teardownConnection();
+
+    for (let attempt = 1; attempt <= MAX_RECONNECT_ATTEMPTS; attempt++) {
+      if (Date.now() >= endsAtRef.current) break;
+      try {
+        await connect(true);
+        eventUploaderRef.current?.push({
+          type: "interview.connection.resumed",
+          event_id: crypto.randomUUID(),
+        });
+        reconnectingRef.current = false;
+        setConnectionStatus("connected");
+        return;
+      } catch (err) {
+        console.warn(`Reconnect attempt ${attempt} failed`, err);
+        reportClientError("Reconnect attempt failed", {
+          error: err,
+          interviewId: interviewIdRef.current,
+          context: { attempt, flow: REALTIME_FLOW },
+        });
+        // The server refused to resume (ended, expired); retrying won't help
+        if (err instanceof ConnectionError && /^http_4/.test(err.code)) break;
+        await new Promise((resolve) =>
+          setTimeout(resolve, attempt * RECONNECT_BACKOFF_MS),
+        );
+      }
+    }
+
+    reconnectingRef.current = false;
+    setConnectionStatus("failed");
+  }
+
+  // Conversation so far, for seeding a resumed session
+  function sendResumeContext() {
+    const history = captions
+      .filter((c) => c.text)
+      .map(
+        (c) =>
+          `${c.speaker === "candidate" ? "Candidate" : "Interviewer"}: ${c.text}`,
+      )
+      .join("\n")
+      .slice(-RESUME_HISTORY_CHARS);
+    const question = `${questionProgress.current + 1} of ${template.questionCount}`;
+
+    sendClientEvent({
+      type: "conversation.item.create",
+      item: {
+        type: "message",
+        role: "system",
+        content: [
+          {
+            type: "input_text",
+            text: `The connection to the candidate dropped and has just been restored. This is the conversation so far:\n${history || "(nothing yet)"}\n\nYou were on question ${question}. Briefly apologise for the interruption, then continue from where you left off, repeating the current question if the candidate had not finished answering it.`,
+          },
+        ],
+      },
+    });
+    sendClientEvent({ type: "response.create" });
+  }
+
+  // Persist how the interview ended; only the first result is kept
+  function saveCompletion(result) {
+    const interviewId = interviewIdRef.current;
+    if (!interviewId || completionSavedRef.current) return;
+    completionSavedRef.current = true;
+    fetch(`/interviews/${interviewId}/complete`, {
       method: "POST",
-      body: offer.sdp,
       headers: {
-        Authorization: `Bearer ${EPHEMERAL_KEY}`,
-        "Content-Type": "application/sdp",
+        "Content-Type": "application/json",
+        [INTERVIEW_SECRET_HEADER]: interviewSecretRef.current,
       },
+      body: JSON.stringify(result),
+      keepalive: true,
+    }).catch((err) => console.warn("Failed to save interview completion", err));
+  }
+
+  // Close out the current question and move to `index`
+  function advanceQuestion(index) {
+    setQuestionProgress((prev) => {
+      const next = Math.min(Math.max(index, 0), template.questionCount - 1);
+      if (next === prev.current) return prev;
+      const answered =
+        prev.skipped.includes(prev.current) ||
+        prev.answered.includes(prev.current)
+          ? prev.answered
+          : [...prev.answered, prev.current];
+      return { ...prev, current: next, answered };
     });
+  }
 
-    const sdp = await sdpResponse.text();
-    const answer = { type: "answer", sdp };
-    await pc.setRemoteDescription(answer);
+  // Let the candidate pass on the current question; the skip is recorded in
+  // the transcript and the interviewer is told to move on
+  function skipQuestion() {
+    const { current, answered, skipped } = questionProgress;
+    if (answered.includes(current) || skipped.includes(current)) return;
+    setQuestionProgress((prev) => ({
+      ...prev,
+      skipped: [...prev.skipped, prev.current],
+    }));
 
-    peerConnection.current = pc;
+    eventUploaderRef.current?.push({
+      type: "interview.question.skipped",
+      event_id: crypto.randomUUID(),
+      question_number: current + 1,
+    });
+
+    sendClientEvent({ type: "response.cancel" });
+    sendClientEvent({
+      type: "conversation.item.create",
+      item: {
+        type: "message",
+        role: "system",
+        content: [
+          {
+            type: "input_text",
+            text: `The candidate chose to skip question ${current + 1}. Do not ask it again.`,
+          },
+        ],
+      },
+    });
+    sendClientEvent({ type: "response.create" });
   }
 
   // Stop current session, clean up peer connection and data channel
   function stopSession() {
+    // Ending before the interviewer wrapped up counts as the candidate's choice
+    saveCompletion({ reason: "user_requested" });
+    stopRecording();
+    stopProctoring();
+    if (eventUploaderRef.current) {
+      eventUploaderRef.current.stop();
+      eventUploaderRef.current = null;
+    }
+    interviewIdRef.current = null;
+    interviewSecretRef.current = null;
+
+    // Detach first so the closing channel isn't mistaken for a dropped one
+    const pc = peerConnection.current;
+    peerConnection.current = null;
+
     if (dataChannel) {
       dataChannel.close();
     }
 
-    peerConnection.current.getSenders().forEach((sender) => {
-      if (sender.track) {
-        sender.track.stop();
-      }
-    });
+    if (pc) {
+      pc.getSenders().forEach((sender) => {
+        if (sender.track) {
+          sender.track.stop();
+        }
+      });
+      pc.close();
+    }
 
-    if (peerConnection.current) {
-      peerConnection.current.close();
+    if (micStreamRef.current) {
+      micStreamRef.current.getTracks().forEach((t) => t.stop());
+      micStreamRef.current = null;
     }
+    reconnectingRef.current = false;
+    setConnectionStatus("connected");
 
     if (audioElement.current) {
       try {
@@ -143,8 +503,10 @@ export default function App() {
     }
 
     setIsSessionActive(false);
+    setIsCandidateSpeaking(false);
     setDataChannel(null);
-    peerConnection.current = null;
+    setMicMuted(false);
+    setIsTalking(false);
     setInterviewerState("idle");
     setIsInterviewCompleted(false);
     setCompletionSummary("");
@@ -154,27 +516,171 @@ export default function App() {
       clearInterval(timerRef.current);
       timerRef.current = null;
     }
+    clearTimeout(timeUpFallbackRef.current);
+  }
+
+  // Show the completion screen once the interviewer is done and record why
+  function finishInterview({ summary, reason }) {
+    clearTimeout(timeUpFallbackRef.current);
+    setQuestionProgress((prev) =>
+      prev.skipped.includes(prev.current) || prev.answered.includes(prev.current)
+        ? prev
+        : { ...prev, answered: [...prev.answered, prev.current] },
+    );
+    setCompletionSummary(summary);
+    setCompletionReason(reason);
+    setPendingCompletion({ summary, reason });
+    saveCompletion({ summary, reason: reason || undefined });
+    stopRecording();
+    stopProctoring();
+  }
+
+  // Tell the interviewer to start closing while the candidate still has time
+  function sendWrapUpWarning() {
+    const minutes = Math.max(1, Math.round(remainingSeconds / 60));
+    sendClientEvent({
+      type: "conversation.item.create",
+      item: {
+        type: "message",
+        role: "system",
+        content: [
+          {
+            type: "input_text",
+            text: `Time check: about ${minutes} minute(s) remain in the interview. Let the candidate finish their current answer, skip any remaining questions, and start wrapping up.`,
+          },
+        ],
+      },
+    });
+  }
+
+  // Out of time: cut the current response and make the model close the interview
+  function forceTimeUp() {
+    sendClientEvent({ type: "response.cancel" });
+    sendClientEvent({
+      type: "response.create",
+      response: {
+        instructions:
+          'The interview time limit has been reached. Briefly thank the candidate, then call `complete_interview` with reason "time_up" and a short summary.',
+        tool_choice: { type: "function", name: "complete_interview" },
+      },
+    });
+    timeUpFallbackRef.current = setTimeout(() => {
+      finishInterview({ summary: "", reason: "time_up" });
+    }, TIME_UP_FALLBACK_MS);
   }
 
-  // Ask for camera permission on load to show preview immediately
+  // Send whatever events are still queued when the page goes away
   useEffect(() => {
+    function handlePageHide() {
+      eventUploaderRef.current?.flush({ keepalive: true });
+    }
+    window.addEventListener("pagehide", handlePageHide);
+    return () => window.removeEventListener("pagehide", handlePageHide);
+  }, []);
+
+  // Check the invite and load the template that drives the header, timer
+  // and kickoff
+  useEffect(() => {
+    const token = getInviteToken();
+    if (!token) {
+      setInviteError("invite.missing");
+      return;
+    }
+    inviteTokenRef.current = token;
+
     (async () => {
       try {
-        const camStream = await navigator.mediaDevices.getUserMedia({
-          video: true,
-          audio: false,
-        });
-        cameraStreamRef.current = camStream;
-        if (cameraVideoRef.current) {
-          cameraVideoRef.current.srcObject = camStream;
-          await cameraVideoRef.current.play().catch(() => {});
+        const response = await fetch(`/invites/${encodeURIComponent(token)}`);
+        const data = await response.json();
+        if (!response.ok) {
+          setInviteError(ERROR_MESSAGES[data.code] || "invite.invalid");
+          return;
         }
+        setCandidateName(data.candidate.name);
+        setTemplate(data.template);
+        setRemainingSeconds(data.template.timeLimitSeconds);
       } catch (err) {
-        console.warn("Camera access denied or unavailable", err);
+        console.error("Failed to load interview invite", err);
+        setInviteError("invite.loadFailed");
       }
     })();
   }, []);
 
+  useEffect(() => {
+    if (template?.language) {
+      document.documentElement.lang = template.language;
+    }
+  }, [template?.language]);
+
+  // Speaker choices from a previous session (localStorage isn't there during SSR)
+  useEffect(() => {
+    setSpeaker(loadSpeakerSettings());
+  }, []);
+
+  function changeSpeaker(next) {
+    setSpeaker(next);
+    saveSpeakerSettings(next);
+    if (audioElement.current) {
+      applySpeakerSettings(audioElement.current, next);
+    }
+  }
+
+  // The candidate's audio only reaches the model while the mic is unmuted,
+  // or in push-to-talk mode while the button is held. The sender shares its
+  // track with micStreamRef, so this carries over a reconnect.
+  useEffect(() => {
+    const track = micStreamRef.current?.getAudioTracks()[0];
+    if (track) {
+      track.enabled = pushToTalk ? isTalking : !micMuted;
+    }
+  }, [micMuted, pushToTalk, isTalking, dataChannel]);
+
+  // Server VAD decides when the candidate has finished speaking; push-to-talk
+  // turns it off and the client commits each turn itself
+  function setServerTurnDetection(enabled) {
+    sendClientEvent({
+      type: "session.update",
+      session: {
+        type: "realtime",
+        audio: {
+          input: { turn_detection: enabled ? { type: "server_vad" } : null },
+        },
+      },
+    });
+  }
+
+  function changePushToTalk(enabled) {
+    pushToTalkRef.current = enabled;
+    setPushToTalk(enabled);
+    setIsTalking(false);
+    setServerTurnDetection(!enabled);
+  }
+
+  function startTalking() {
+    if (!pushToTalk || isTalking) return;
+    // Drop anything picked up before the button went down
+    sendClientEvent({ type: "input_audio_buffer.clear" });
+    setIsTalking(true);
+    setIsCandidateSpeaking(true);
+  }
+
+  function stopTalking() {
+    if (!pushToTalk || !isTalking) return;
+    setIsTalking(false);
+    setIsCandidateSpeaking(false);
+    sendClientEvent({ type: "input_audio_buffer.commit" });
+    sendClientEvent({ type: "response.create" });
+  }
+
+  // Camera preview in the sidebar while the candidate checks their devices
+  function showCameraPreview(stream) {
+    if (!cameraVideoRef.current) return;
+    cameraVideoRef.current.srcObject = stream;
+    if (stream) {
+      cameraVideoRef.current.play().catch(() => {});
+    }
+  }
+
   // Send a message to the model
   function sendClientEvent(message) {
     if (dataChannel) {
@@ -189,6 +695,7 @@ export default function App() {
         message.timestamp = timestamp;
       }
       setEvents((prev) => [message, ...prev]);
+      eventUploaderRef.current?.push(message);
     } else {
       console.error(
         "Failed to send message - no data channel available",
@@ -217,9 +724,60 @@ export default function App() {
     sendClientEvent({ type: "response.create" });
   }
 
+  // Editor contents go to the model as candidate input and into the
+  // transcript as a snapshot. Sharing on request also asks for a reply;
+  // automatic shares just keep the interviewer up to date.
+  function shareCode({ language, code, trigger }) {
+    // Our own item id lets the transcript tie the model's copy to the snapshot
+    const itemId = `code_${crypto.randomUUID().replace(/-/g, "").slice(0, 24)}`;
+    eventUploaderRef.current?.push({
+      type: "interview.code.snapshot",
+      event_id: crypto.randomUUID(),
+      item_id: itemId,
+      language,
+      code,
+      trigger,
+    });
+
+    const intro =
+      trigger === "manual"
+        ? "Please take a look at my code"
+        : "[Editor update, no reply needed] My code so far";
+    sendClientEvent({
+      type: "conversation.item.create",
+      item: {
+        id: itemId,
+        type: "message",
+        role: "user",
+        content: [
+          {
+            type: "input_text",
+            text: `${intro} (${language}):\n\`\`\`${language}\n${code}\n\`\`\``,
+          },
+        ],
+      },
+    });
+    if (trigger === "manual") {
+      sendClientEvent({ type: "response.create" });
+    }
+  }
+
   // Attach event listeners to the data channel when a new one is created
   useEffect(() => {
     if (dataChannel) {
+      // Runs the model's tool calls on this channel. The context is read as
+      // each call runs, so handlers see the current interview.
+      const toolRunner = createToolRunner({
+        sendClientEvent,
+        getContext: () => ({
+          interviewId: interviewIdRef.current,
+          interviewSecret: interviewSecretRef.current,
+          isTimeUp: () => timeUpRef.current,
+          goToQuestion: advanceQuestion,
+          finishInterview,
+        }),
+      });
+
       // Append new server events to the list
       dataChannel.addEventListener("message", (e) => {
         const event = JSON.parse(e.data);
@@ -228,63 +786,14 @@ export default function App() {
         }
 
         setEvents((prev) => [event, ...prev]);
-
-        // Handle tool/function call events (streamed arguments + completion)
-        try {
-          const type = event.type || "";
-          const looksLikeToolEvent =
-            type.includes("function_call") || type.includes("tool_call");
-          if (looksLikeToolEvent) {
-            const callId = event.call_id || event.id || (event.call && event.call.id);
-            const name = event.name || (event.function && event.function.name) || (event.tool && event.tool.name);
-            const delta =
-              event.delta ||
-              (typeof event.arguments === "string" ? event.arguments : undefined);
-            if (callId && name) {
-              if (delta) {
-                const prev = toolCallBuffersRef.current[callId] || "";
-                toolCallBuffersRef.current[callId] = prev + delta;
-              }
-              const isFinal =
-                type.endsWith(".completed") ||
-                type.endsWith(".done") ||
-                type.endsWith(".finished") ||
-                type === "response.function_call.completed" ||
-                type === "response.tool_call.completed";
-              if (isFinal) {
-                let rawArgs = toolCallBuffersRef.current[callId];
-                if (!rawArgs && typeof event.arguments === "object") {
-                  // sometimes arguments may arrive fully as object
-                  rawArgs = JSON.stringify(event.arguments);
-                }
-                let parsed = {};
-                if (rawArgs) {
-                  try {
-                    parsed = JSON.parse(rawArgs);
-                  } catch {}
-                }
-
-                if (name === "complete_interview") {
-                  const summary = parsed.summary || "";
-                  const reason = parsed.reason || "";
-                  setCompletionSummary(summary);
-                  setCompletionReason(reason);
-                  setPendingCompletion({ summary, reason });
-
-                  // Acknowledge tool execution back to the model
-                  sendClientEvent({
-                    type: "tool.output",
-                    call_id: callId,
-                    output: JSON.stringify({ acknowledged: true }),
-                  });
-                }
-
-                // cleanup buffer
-                delete toolCallBuffersRef.current[callId];
-              }
-            }
-          }
-        } catch {}
+        eventUploaderRef.current?.push(event);
+        toolRunner.handleEvent(event);
+        setCaptions((prev) => applyCaptionEvent(prev, event));
+        if (event.type === "input_audio_buffer.speech_started") {
+          setIsCandidateSpeaking(true);
+        } else if (event.type === "input_audio_buffer.speech_stopped") {
+          setIsCandidateSpeaking(false);
+        }
 
         // Update interviewer video state from response events
         const type = event.type || "";
@@ -314,14 +823,33 @@ export default function App() {
 
       // Set session active when the data channel is opened
       dataChannel.addEventListener("open", () => {
+        sendClientEvent({
+          type: "session.update",
+          session: { type: "realtime", tools: sessionTools(template.tools) },
+        });
+        // Each new session starts with server VAD, resumed ones included
+        if (pushToTalkRef.current) {
+          setServerTurnDetection(false);
+        }
+
+        // A resumed session keeps its transcript and countdown
+        if (resumeOnOpenRef.current) {
+          sendResumeContext();
+          return;
+        }
+
         setIsSessionActive(true);
         setEvents([]);
-        // reset and start countdown on session start
-        setRemainingSeconds(600);
+        setCaptions([]);
+        // start the countdown towards the server-side deadline
+        const tick = () => {
+          setRemainingSeconds(
+            Math.max(0, Math.round((endsAtRef.current - Date.now()) / 1000)),
+          );
+        };
+        tick();
         if (timerRef.current) clearInterval(timerRef.current);
-        timerRef.current = setInterval(() => {
-          setRemainingSeconds((prev) => (prev > 0 ? prev - 1 : 0));
-        }, 1000);
+        timerRef.current = setInterval(tick, 1000);
 
         // Play entry animation video and start the interview greeting
         setInterviewerState("entry");
@@ -331,8 +859,7 @@ export default function App() {
           const event = {
             type: "response.create",
             response: {
-              instructions:
-                "Introduce yourself as an AI interviewer for Hirenest. Speak only in English. Explain this is a short, interactive real‑time interview. Ask the first question now: 'What interests you about this company?'. Keep it concise and invite clarifying questions.",
+              instructions: template.kickoff,
             },
           };
           try {
@@ -343,6 +870,23 @@ export default function App() {
     }
   }, [dataChannel]);
 
+  // Enforce the template's time limit as the countdown runs down
+  useEffect(() => {
+    if (!isSessionActive || isInterviewCompleted || !template) return;
+    if (remainingSeconds === 0) {
+      if (!timeUpRef.current) {
+        timeUpRef.current = true;
+        forceTimeUp();
+      }
+    } else if (
+      remainingSeconds <= template.warningSeconds &&
+      !wrapUpSentRef.current
+    ) {
+      wrapUpSentRef.current = true;
+      sendWrapUpWarning();
+    }
+  }, [remainingSeconds, isSessionActive]);
+
   // Defer showing the completion screen until the interviewer is idle
   useEffect(() => {
     if (pendingCompletion && interviewerState === "idle") {
@@ -351,29 +895,12 @@ export default function App() {
     }
   }, [pendingCompletion, interviewerState]);
 
-  // Ensure the interviewer video plays when the state or source changes
-  useEffect(() => {
-    const v = interviewerVideoRef.current;
-    if (!v) return;
-    v.muted = true; // allow autoplay
-    v.loop = interviewerState !== "entry";
-    // Force reload so source switches consistently
-    v.load();
-    v.play().catch(() => {});
-  }, [interviewerState]);
-
-  function getInterviewerSrc() {
-    if (interviewerState === "talking") return talkingVideoAsset;
-    if (interviewerState === "idle") return idleVideoAsset;
-    return entryVideoAsset;
-  }
-
-  function formatTime(totalSeconds) {
-    const minutes = Math.floor(totalSeconds / 60)
-      .toString()
-      .padStart(2, "0");
-    const seconds = (totalSeconds % 60).toString().padStart(2, "0");
-    return `${minutes}:${seconds}`;
+  function getStatusText() {
+    if (!isSessionActive) return t("status.notStarted");
+    if (connectionStatus !== "connected") return t("status.connectionLost");
+    if (isCandidateSpeaking) return t("status.listening");
+    if (interviewerState !== "idle") return t("status.speaking", { name: template.persona.name });
+    return t("status.waiting");
   }
 
   // Basic voice activity detection on the model's remote audio stream
@@ -387,26 +914,12 @@ export default function App() {
         await audioCtx.resume();
       }
 
-      const source = audioCtx.createMediaStreamSource(stream);
-      const analyser = audioCtx.createAnalyser();
-      analyser.fftSize = 2048;
-      analyser.smoothingTimeConstant = 0.8;
-      source.connect(analyser);
-      analyserRef.current = analyser;
-
-      const data = new Uint8Array(analyser.fftSize);
+      analyserRef.current?.disconnect();
+      analyserRef.current = createLevelAnalyser(audioCtx, stream);
 
       const tick = () => {
         if (!analyserRef.current) return;
-        analyserRef.current.getByteTimeDomainData(data);
-
-        // Compute RMS in range [0,1]
-        let sumSquares = 0;
-        for (let i = 0; i < data.length; i++) {
-          const v = (data[i] - 128) / 128;
-          sumSquares += v * v;
-        }
-        const rms = Math.sqrt(sumSquares / data.length);
+        const rms = analyserRef.current.level();
 
         const now = performance.now();
         if (rms >= VAD_START_THRESHOLD) {
@@ -434,22 +947,35 @@ export default function App() {
     }
   }
 
+  const progressPercent = template
+    ? Math.round(
+        ((questionProgress.answered.length + questionProgress.skipped.length) /
+          template.questionCount) *
+          100,
+      )
+    : 0;
+
   return (
-    <>
+    <I18nProvider value={t}>
       {/* Top Header */}
       <header className="absolute top-0 left-0 right-0 h-16 flex items-center px-4">
         <div className="w-full flex items-center justify-between">
           <div className="flex items-center gap-3">
             <img style={{ width: "24px" }} src={logo} />
             <div className="flex flex-col">
-              <div className="text-sm text-slate-500">KP Technologies</div>
-              <h1 className="text-base font-semibold">Software Engineer Interview</h1>
+              <div className="text-sm text-slate-500">
+                {template?.companyName}
+                {candidateName ? ` · ${candidateName}` : ""}
+              </div>
+              <h1 className="text-base font-semibold">
+                {template ? t("header.roleInterview", { role: template.roleTitle }) : t("header.interview")}
+              </h1>
             </div>
           </div>
           <div className="flex items-center gap-6">
             <div className="flex items-center gap-2 text-sm text-slate-600">
               <span className="inline-flex items-center gap-1">
-                <span className="text-slate-500">Time Remaining:</span>
+                <span className="text-slate-500">{t("header.timeRemaining")}</span>
                 <span className="font-semibold">{formatTime(remainingSeconds)}</span>
               </span>
             </div>
@@ -457,7 +983,7 @@ export default function App() {
               onClick={stopSession}
               className="px-4 py-2 rounded-full text-white bg-red-600 hover:bg-red-700 text-sm"
             >
-              End Interview
+              {t("header.endInterview")}
             </button>
           </div>
         </div>
@@ -466,9 +992,22 @@ export default function App() {
       {/* Progress */}
       <div className="absolute top-16 left-0 right-0 px-4">
         <div className="flex items-center justify-between text-sm text-slate-600 py-2">
-          {/* <div className="w-48 h-2 bg-slate-200 rounded-full overflow-hidden">
-            <div className="h-full bg-violet-500" style={{ width: "45%" }} />
-          </div> */}
+          {template ? (
+            <>
+              <span>
+                {t("progress.question", { current: questionProgress.current + 1, total: template.questionCount })}
+                {questionProgress.skipped.length > 0
+                  ? ` · ${t("progress.skipped", { count: questionProgress.skipped.length })}`
+                  : ""}
+              </span>
+              <div className="w-48 h-2 bg-slate-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-violet-500 transition-all"
+                  style={{ width: `${progressPercent}%` }}
+                />
+              </div>
+            </>
+          ) : null}
         </div>
       </div>
 
@@ -478,8 +1017,8 @@ export default function App() {
         <section className="lg:col-span-2 card flex flex-col overflow-hidden">
           <div className="header-gradient text-white px-4 py-3 flex items-center justify-between">
             <div>
-              <div className="text-sm opacity-90">Meet Tina</div>
-              <div className="text-xs opacity-80">Your AI Technical Interviewer</div>
+              <div className="text-sm opacity-90">{template ? t("interviewer.meet", { name: template.persona.name }) : null}</div>
+              <div className="text-xs opacity-80">{template?.persona.subtitle}</div>
             </div>
             <div className="text-xs flex items-center gap-2 opacity-90">
               <span className="relative flex h-2 w-2">
@@ -493,67 +1032,119 @@ export default function App() {
               <div className="relative w-full h-full min-h-[320px] rounded-xl overflow-hidden bg-slate-50 flex items-center justify-center">
                 <div className="text-center p-6 max-w-lg">
                   <div className="text-3xl mb-2">🎉</div>
-                  <h2 className="text-xl font-semibold mb-2">Interview Completed</h2>
+                  <h2 className="text-xl font-semibold mb-2">{t("completed.title")}</h2>
                   {completionSummary ? (
                     <p className="text-slate-600 mb-4">{completionSummary}</p>
                   ) : (
-                    <p className="text-slate-600 mb-4">Thank you for your time. You may end the session now.</p>
+                    <p className="text-slate-600 mb-4">{t("completed.thanks")}</p>
                   )}
                   {completionReason ? (
-                    <div className="text-xs text-slate-500 mb-4">Reason: {completionReason}</div>
+                    <div className="text-xs text-slate-500 mb-4">{t("completed.reason", { reason: t(`completed.reason.${completionReason}`) })}</div>
                   ) : null}
                   <div className="flex items-center justify-center gap-3">
                     <button
                       onClick={stopSession}
                       className="px-4 py-2 rounded-full text-white bg-red-600 hover:bg-red-700 text-sm"
                     >
-                      End Interview
-                    </button>
-                    <button
-                      onClick={() => {
-                        // cleanly end and start a new session
-                        stopSession();
-                        setIsInterviewCompleted(false);
-                        setCompletionSummary("");
-                        setCompletionReason("");
-                        setTimeout(() => {
-                          startSession();
-                        }, 50);
-                      }}
-                      className="px-4 py-2 rounded-full text-white bg-blue-600 hover:bg-blue-700 text-sm"
-                    >
-                      Restart
+                      {t("header.endInterview")}
                     </button>
                   </div>
                 </div>
               </div>
+            ) : inviteError && !isSessionActive ? (
+              <div className="relative w-full h-full min-h-[320px] rounded-xl overflow-hidden bg-slate-50 flex items-center justify-center">
+                <div className="text-center p-6 max-w-lg">
+                  <h2 className="text-xl font-semibold mb-2">{t("unavailable.title")}</h2>
+                  <p className="text-slate-600">{t(inviteError)}</p>
+                </div>
+              </div>
             ) : (
               <>
                 <div className="relative w-full h-full min-h-[320px] rounded-xl overflow-hidden bg-slate-100 flex items-center justify-center">
-                  <video
-                    ref={interviewerVideoRef}
-                    src={getInterviewerSrc()}
-                    className="w-full h-full object-cover"
-                    playsInline
-                    autoPlay
-                    muted
-                  />
+                  <InterviewerAvatar persona={template?.persona} state={interviewerState} />
+                  {isSessionActive ? (
+                    <button
+                      onClick={() => setShowCaptions((prev) => !prev)}
+                      className="absolute top-3 right-3 text-xs bg-white/80 backdrop-blur px-3 py-1 rounded-full shadow hover:bg-white"
+                      aria-pressed={showCaptions}
+                    >
+                      {showCaptions ? t("captions.hide") : t("captions.show")}
+                    </button>
+                  ) : null}
+                  {isSessionActive && showCaptions ? (
+                    <div className="absolute left-4 right-4 bottom-14">
+                      <Captions captions={captions} interviewerName={template.persona.name} />
+                    </div>
+                  ) : null}
                   <div className="absolute bottom-4 left-1/2 -translate-x-1/2 text-slate-800 bg-white/80 backdrop-blur px-3 py-1 rounded-full text-xs shadow">
-                    Waiting for your response...
+                    {getStatusText()}
                   </div>
                 </div>
                 <div className="mt-6">
-                  <SessionControls
-                    startSession={startSession}
-                    stopSession={stopSession}
-                    sendClientEvent={sendClientEvent}
-                    sendTextMessage={(message) => {
-                      setInterviewerState("idle");
-                      sendTextMessage(message);
-                    }}
-                    events={events}
-                    isSessionActive={isSessionActive}
-                  />
+                  {isSessionActive ? (
+                    <SessionControls
+                      sendTextMessage={(message) => {
+                        setInterviewerState("idle");
+                        sendTextMessage(message);
+                      }}
+                      events={events}
+                      speaker={speaker}
+                      onSpeakerChange={changeSpeaker}
+                      micMuted={micMuted}
+                      onToggleMute={() => setMicMuted((muted) => !muted)}
+                      pushToTalk={pushToTalk}
+                      onPushToTalkChange={changePushToTalk}
+                      isTalking={isTalking}
+                      onTalkStart={startTalking}
+                      onTalkEnd={stopTalking}
+                    />
+                  ) : (
+                    <DeviceCheck
+                      companyName={template?.companyName}
+                      proctoring={template?.proctoring}
+                      onCameraStream={showCameraPreview}
+                      onStart={startSession}
+                    />
+                  )}
+                  {isSessionActive && template.textInput ? (
+                    <TextAnswerInput
+                      onSend={(message) => {
+                        setInterviewerState("idle");
+                        sendTextMessage(message);
+                      }}
+                      disabled={isInterviewCompleted}
+                    />
+                  ) : null}
+                  {isSessionActive && connectionStatus === "reconnecting" ? (
+                    <div
+                      role="status"
+                      className="mt-4 mx-auto max-w-md text-center text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-4 py-2"
+                    >
+                      {t("connection.reconnecting")}
+                    </div>
+                  ) : null}
+                  {isSessionActive && connectionStatus === "failed" ? (
+                    <div
+                      role="alert"
+                      className="mt-4 mx-auto max-w-md flex items-center justify-between gap-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-4 py-2"
+                    >
+                      <span>{t("connection.failed")}</span>
+                      <button
+                        onClick={handleConnectionLost}
+                        className="shrink-0 px-3 py-1 rounded-full bg-red-600 text-white hover:bg-red-700"
+                      >
+                        {t("connection.retry")}
+                      </button>
+                    </div>
+                  ) : null}
+                  {connectionError ? (
+                    <div
+                      role="alert"
+                      className="mt-4 mx-auto max-w-md text-center text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-4 py-2"
+                    >
+                      {t(connectionError)}
+                    </div>
+                  ) : null}
                 </div>
               </>
             )}
@@ -563,7 +1154,7 @@ export default function App() {
         {/* Right sidebar */}
         <aside className="flex flex-col gap-4">
           <div className="card overflow-hidden">
-            <div className="px-4 py-3 border-b border-slate-200 text-sm font-medium">Your Video</div>
+            <div className="px-4 py-3 border-b border-slate-200 text-sm font-medium">{t("video.title")}</div>
             <div className="p-4">
               <div className="relative rounded-lg overflow-hidden bg-slate-100 h-48 md:h-56 lg:h-64 xl:h-72">
                 <video
@@ -573,17 +1164,31 @@ export default function App() {
                   autoPlay
                   muted
                 />
-                <div className="absolute bottom-3 left-3 text-[11px] bg-black/60 text-white px-2 py-1 rounded-full">Camera Active</div>
+                <div className="absolute bottom-3 left-3 text-[11px] bg-black/60 text-white px-2 py-1 rounded-full">{t("video.cameraActive")}</div>
+                {template?.proctoring && isSessionActive && !isInterviewCompleted ? (
+                  <div className="absolute top-3 right-3 text-[11px] bg-amber-500/90 text-white px-2 py-1 rounded-full">{t("proctoring.active")}</div>
+                ) : null}
               </div>
             </div>
           </div>
 
+          {template?.codeEditor && isSessionActive ? (
+            <div className="card flex-1 min-h-0 overflow-hidden">
+              <ToolPanel
+                languages={template.codeEditor.languages}
+                interviewerName={template.persona.name}
+                onShare={shareCode}
+                disabled={isInterviewCompleted}
+              />
+            </div>
+          ) : null}
+
           <div className="card">
-            <div className="px-4 py-3 border-b border-slate-200 text-sm font-medium">Tips</div>
+            <div className="px-4 py-3 border-b border-slate-200 text-sm font-medium">{t("tips.title")}</div>
             <ul className="p-4 text-sm text-slate-600 list-disc list-inside space-y-2">
-              <li>Take your time to think before answering</li>
-              <li>Speak clearly and maintain eye contact</li>
-              <li>Use examples to support your answers</li>
+              <li>{t("tips.think")}</li>
+              <li>{t("tips.speak")}</li>
+              <li>{t("tips.examples")}</li>
             </ul>
           </div>
         </aside>
@@ -593,31 +1198,41 @@ export default function App() {
       <footer className="absolute left-0 right-0 bottom-0 h-16 px-4">
         <div className="h-full flex items-center justify-between border-t border-slate-200 bg-white/60 backdrop-blur px-2">
           <div className="flex items-center gap-2 text-sm text-slate-600">
-            <span className="h-2 w-2 rounded-full bg-green-500" />
-            {isSessionActive ? "Recording in progress" : "Ready"}
+            <span
+              className={`h-2 w-2 rounded-full ${
+                isSessionActive && connectionStatus !== "connected"
+                  ? "bg-amber-500"
+                  : "bg-green-500"
+              }`}
+            />
+            {!isSessionActive
+              ? t("footer.ready")
+              : connectionStatus !== "connected"
+                ? t("footer.reconnecting")
+                : isRecording
+                  ? t("footer.recording")
+                  : t("footer.inProgress")}
           </div>
           <div className="flex items-center gap-3">
-            <button className="px-4 py-2 rounded-full text-slate-700 bg-slate-100 hover:bg-slate-200 text-sm">
-              Skip
+            <button
+              onClick={skipQuestion}
+              disabled={!isSessionActive || isInterviewCompleted}
+              className="px-4 py-2 rounded-full text-slate-700 bg-slate-100 hover:bg-slate-200 disabled:opacity-50 text-sm"
+            >
+              {t("footer.skip")}
             </button>
+            {/* Sessions start from the device check, once consent is given */}
             {isSessionActive ? (
               <button
                 onClick={stopSession}
                 className="px-4 py-2 rounded-full text-white bg-red-600 hover:bg-red-700 text-sm"
               >
-                Stop Session
+                {t("footer.stop")}
               </button>
-            ) : (
-              <button
-                onClick={startSession}
-                className="px-4 py-2 rounded-full text-white bg-blue-600 hover:bg-blue-700 text-sm"
-              >
-                Start Session
-              </button>
-            )}
+            ) : null}
           </div>
         </div>
       </footer>
-    </>
+    </I18nProvider>
   );
 }
@@ -0,0 +1,46 @@
+import { useEffect, useRef } from "react";
+import { useT } from "../i18n";
+
+export default function Captions({ captions, interviewerName }) {
+  const t = useT();
+  const scrollRef = useRef(null);
+  const stickToBottomRef = useRef(true);
+
+  // Follow new captions unless the candidate scrolled up to re-read
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (el && stickToBottomRef.current) {
+      el.scrollTop = el.scrollHeight;
+    }
+  }, [captions]);
+
+  function handleScroll() {
+    const el = scrollRef.current;
+    stickToBottomRef.current =
+      el.scrollHeight - el.scrollTop - el.clientHeight < 24;
+  }
+
+  return (
+    <div
+      ref={scrollRef}
+      onScroll={handleScroll}
+      className="max-h-32 overflow-y-auto rounded-lg bg-black/60 text-white text-sm px-3 py-2 flex flex-col gap-1"
+      aria-live="polite"
+    >
+      {captions.length === 0 ? (
+        <div className="text-white/70 text-xs">{t("captions.empty")}</div>
+      ) : (
+        captions.map((caption) => (
+          <div key={caption.id} className={caption.final ? "" : "opacity-80"}>
+            <span className="font-semibold text-xs uppercase tracking-wide text-violet-200 mr-2">
+              {caption.speaker === "interviewer"
+                ? interviewerName
+                : t("captions.candidate")}
+            </span>
+            {caption.text}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
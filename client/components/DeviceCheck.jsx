@@ -0,0 +1,340 @@
+import { useEffect, useRef, useState } from "react";
+import { Camera, Eye, Mic, Volume2 } from "react-feather";
+import { createLevelAnalyser } from "../lib/audioLevel";
+import { useT } from "../i18n";
+
+const MIC_HEARD_LEVEL = 0.04; // RMS the candidate must reach once to show the mic works
+const TEST_TONE_SECONDS = 0.8;
+
+// Message key for what to tell the candidate when getUserMedia fails on
+// `device` ("mic" or "camera")
+function mediaErrorKey(err, device) {
+  switch (err?.name) {
+    case "NotAllowedError":
+    case "SecurityError":
+      return `deviceCheck.${device}Blocked`;
+    case "NotFoundError":
+    case "OverconstrainedError":
+      return `deviceCheck.${device}NotFound`;
+    case "NotReadableError":
+      return `deviceCheck.${device}Busy`;
+    default:
+      return `deviceCheck.${device}Failed`;
+  }
+}
+
+function DevicePicker({ icon, label, devices, value, onChange }) {
+  const t = useT();
+  return (
+    <label className="flex flex-col gap-1 text-sm">
+      <span className="flex items-center gap-2 text-slate-600">
+        {icon}
+        {label}
+      </span>
+      <select
+        className="border border-slate-300 rounded-md px-2 py-1.5 bg-white"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={devices.length === 0}
+      >
+        {devices.length === 0 ? (
+          <option value="">{t("deviceCheck.noneFound")}</option>
+        ) : null}
+        {devices.map((device, i) => (
+          <option key={device.deviceId} value={device.deviceId}>
+            {device.label || t("deviceCheck.unnamed", { label, number: i + 1 })}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+// Pre-flight screen: nothing is opened until the candidate asks to check
+// their devices, and the interview can't start until the microphone has
+// picked up sound and the candidate has agreed to take part. The chosen
+// streams are handed to `onStart`, which resolves to whether it kept them.
+export default function DeviceCheck({
+  companyName,
+  proctoring,
+  onCameraStream,
+  onStart,
+}) {
+  const t = useT();
+  const [isChecking, setIsChecking] = useState(false);
+  const [micStream, setMicStream] = useState(null);
+  const [cameraStream, setCameraStream] = useState(null);
+  const [micError, setMicError] = useState("");
+  const [cameraError, setCameraError] = useState("");
+  const [devices, setDevices] = useState({ audioinput: [], videoinput: [] });
+  const [micId, setMicId] = useState("");
+  const [cameraId, setCameraId] = useState("");
+  const [micHeard, setMicHeard] = useState(false);
+  const [consent, setConsent] = useState(false);
+  const [recordingConsent, setRecordingConsent] = useState(false);
+  const [isStarting, setIsStarting] = useState(false);
+  const audioContextRef = useRef(null);
+  const meterRef = useRef(null);
+  const streamsRef = useRef({ mic: null, camera: null });
+  const handedOffRef = useRef(false);
+
+  function getAudioContext() {
+    if (!audioContextRef.current) {
+      audioContextRef.current = new (
+        window.AudioContext || window.webkitAudioContext
+      )();
+    }
+    return audioContextRef.current;
+  }
+
+  async function refreshDevices() {
+    const all = await navigator.mediaDevices.enumerateDevices();
+    setDevices({
+      audioinput: all.filter((d) => d.kind === "audioinput"),
+      videoinput: all.filter((d) => d.kind === "videoinput"),
+    });
+  }
+
+  async function openMic(deviceId) {
+    streamsRef.current.mic?.getTracks().forEach((t) => t.stop());
+    streamsRef.current.mic = null;
+    setMicStream(null);
+    setMicHeard(false);
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: deviceId ? { deviceId: { exact: deviceId } } : true,
+      });
+      streamsRef.current.mic = stream;
+      setMicStream(stream);
+      setMicId(stream.getAudioTracks()[0]?.getSettings().deviceId || "");
+      setMicError("");
+    } catch (err) {
+      console.warn("Microphone access denied or unavailable", err);
+      setMicError(mediaErrorKey(err, "mic"));
+    }
+  }
+
+  // The camera is optional; the interview goes ahead without video
+  async function openCamera(deviceId) {
+    streamsRef.current.camera?.getTracks().forEach((t) => t.stop());
+    streamsRef.current.camera = null;
+    setCameraStream(null);
+    onCameraStream(null);
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: deviceId ? { deviceId: { exact: deviceId } } : true,
+      });
+      streamsRef.current.camera = stream;
+      setCameraStream(stream);
+      setCameraId(stream.getVideoTracks()[0]?.getSettings().deviceId || "");
+      setCameraError("");
+      onCameraStream(stream);
+    } catch (err) {
+      console.warn("Camera access denied or unavailable", err);
+      setCameraError(mediaErrorKey(err, "camera"));
+    }
+  }
+
+  async function checkDevices() {
+    setIsChecking(true);
+    try {
+      await openMic();
+      await openCamera();
+      // Device labels are only filled in once permission has been granted
+      await refreshDevices();
+    } finally {
+      setIsChecking(false);
+    }
+  }
+
+  // Live level meter on the selected microphone
+  useEffect(() => {
+    if (!micStream) return;
+    const audioCtx = getAudioContext();
+    audioCtx.resume().catch(() => {});
+    const meter = createLevelAnalyser(audioCtx, micStream);
+    let raf = null;
+
+    const tick = () => {
+      const rms = meter.level();
+      if (meterRef.current) {
+        // Speech rarely goes above ~0.3 RMS, so scale that to a full bar
+        meterRef.current.style.width = `${Math.min(100, (rms / 0.3) * 100)}%`;
+      }
+      if (rms >= MIC_HEARD_LEVEL) {
+        setMicHeard(true);
+      }
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+
+    return () => {
+      cancelAnimationFrame(raf);
+      meter.disconnect();
+    };
+  }, [micStream]);
+
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices) return;
+    const handleChange = () => refreshDevices().catch(() => {});
+    mediaDevices.addEventListener("devicechange", handleChange);
+    return () => mediaDevices.removeEventListener("devicechange", handleChange);
+  }, []);
+
+  // Release everything unless the interview took the streams over
+  useEffect(() => {
+    return () => {
+      if (!handedOffRef.current) {
+        streamsRef.current.mic?.getTracks().forEach((t) => t.stop());
+        streamsRef.current.camera?.getTracks().forEach((t) => t.stop());
+      }
+      audioContextRef.current?.close().catch(() => {});
+    };
+  }, []);
+
+  // Short tone on the default output so the candidate can check they hear it
+  function playTestTone() {
+    const audioCtx = getAudioContext();
+    audioCtx.resume().catch(() => {});
+    const oscillator = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    oscillator.frequency.value = 440;
+    gain.gain.setValueAtTime(0.2, audioCtx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(
+      0.001,
+      audioCtx.currentTime + TEST_TONE_SECONDS,
+    );
+    oscillator.connect(gain).connect(audioCtx.destination);
+    oscillator.start();
+    oscillator.stop(audioCtx.currentTime + TEST_TONE_SECONDS);
+  }
+
+  async function handleStart() {
+    if (isStarting) return;
+    setIsStarting(true);
+    // Claimed up front: the interview screen can replace this one before
+    // onStart resolves
+    handedOffRef.current = true;
+    try {
+      handedOffRef.current = await onStart({
+        micStream,
+        cameraStream,
+        recordingConsent,
+      });
+    } finally {
+      setIsStarting(false);
+    }
+  }
+
+  const canStart = Boolean(micStream) && micHeard && consent && !isStarting;
+  const hasChecked = micStream || micError;
+
+  return (
+    <div className="mx-auto max-w-xl flex flex-col gap-4">
+      {!hasChecked ? (
+        <div className="flex flex-col items-center gap-2 text-center">
+          <p className="text-sm text-slate-600">{t("deviceCheck.intro")}</p>
+          <button
+            onClick={checkDevices}
+            disabled={isChecking}
+            className="px-4 py-2 rounded-full text-white text-sm bg-violet-600 hover:bg-violet-700 disabled:opacity-60"
+          >
+            {isChecking ? t("deviceCheck.checking") : t("deviceCheck.check")}
+          </button>
+        </div>
+      ) : (
+        <div className="grid gap-3 sm:grid-cols-2">
+          <div className="flex flex-col gap-2">
+            <DevicePicker
+              icon={<Mic size={14} />}
+              label={t("deviceCheck.microphone")}
+              devices={devices.audioinput}
+              value={micId}
+              onChange={openMic}
+            />
+            <div className="h-2 rounded-full bg-slate-200 overflow-hidden">
+              <div
+                ref={meterRef}
+                className="h-full bg-green-500 transition-[width] duration-75"
+                style={{ width: "0%" }}
+              />
+            </div>
+            {micError ? (
+              <div role="alert" className="text-xs text-red-600">
+                {t(micError)}{" "}
+                <button className="underline" onClick={() => openMic(micId)}>
+                  {t("deviceCheck.tryAgain")}
+                </button>
+              </div>
+            ) : (
+              <div className="text-xs text-slate-500">
+                {micHeard
+                  ? t("deviceCheck.micWorking")
+                  : t("deviceCheck.micPrompt")}
+              </div>
+            )}
+          </div>
+          <div className="flex flex-col gap-2">
+            <DevicePicker
+              icon={<Camera size={14} />}
+              label={t("deviceCheck.camera")}
+              devices={devices.videoinput}
+              value={cameraId}
+              onChange={openCamera}
+            />
+            {cameraError ? (
+              <div className="text-xs text-amber-700">
+                {t(cameraError)} {t("deviceCheck.cameraOptional")}
+              </div>
+            ) : null}
+            <button
+              onClick={playTestTone}
+              className="self-start flex items-center gap-2 px-3 py-1.5 rounded-full text-sm text-slate-700 bg-slate-100 hover:bg-slate-200"
+            >
+              <Volume2 size={14} />
+              {t("deviceCheck.testSound")}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {proctoring ? (
+        <p className="flex items-start gap-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">
+          <Eye size={14} className="mt-0.5 shrink-0" />
+          <span>{t("deviceCheck.proctoring")}</span>
+        </p>
+      ) : null}
+      <label className="flex items-start gap-2 text-sm text-slate-600">
+        <input
+          type="checkbox"
+          className="mt-1"
+          checked={consent}
+          onChange={(e) => setConsent(e.target.checked)}
+        />
+        <span>
+          {t("deviceCheck.consent", {
+            company: companyName || t("deviceCheck.hiringTeam"),
+          })}
+        </span>
+      </label>
+      <label className="flex items-start gap-2 text-sm text-slate-600">
+        <input
+          type="checkbox"
+          className="mt-1"
+          checked={recordingConsent}
+          onChange={(e) => setRecordingConsent(e.target.checked)}
+        />
+        <span>{t("deviceCheck.recordingConsent")}</span>
+      </label>
+
+      <button
+        onClick={handleStart}
+        disabled={!canStart}
+        className="self-center px-6 py-2 rounded-full text-white bg-gradient-to-br from-violet-600 to-violet-500 hover:brightness-110 disabled:opacity-50 disabled:hover:brightness-100"
+      >
+        {isStarting ? t("deviceCheck.starting") : t("deviceCheck.start")}
+      </button>
+    </div>
+  );
+}
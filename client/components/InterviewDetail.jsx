@@ -0,0 +1,339 @@
+import { useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import EventLog from "./EventLog";
+import Scorecard from "./Scorecard";
+import ProctoringReport from "./ProctoringReport";
+import RecruiterSignIn from "./RecruiterSignIn";
+import { formatDateTime, formatTime, secondsBetween } from "../lib/format";
+import { SignInRequiredError, fetchRecruiterJson } from "../lib/recruiter";
+
+// `onSeek` is set when there is a recording to jump to this turn in
+function TranscriptTurn({ turn, startedAt, isActive, onSeek }) {
+  const offset = formatTime(secondsBetween(startedAt, turn.startedAt));
+  if (turn.role === "system") {
+    return (
+      <div className="text-center text-xs text-slate-400">
+        {offset} · {turn.text}
+      </div>
+    );
+  }
+
+  if (turn.role === "code") {
+    return (
+      <div className="flex gap-3">
+        <div className="w-14 shrink-0 pt-1 text-xs text-slate-400 tabular-nums">
+          {offset}
+        </div>
+        <div className="flex-1 min-w-0 rounded-lg border border-slate-200">
+          <div className="px-3 py-1.5 border-b border-slate-200 text-xs font-medium text-slate-500">
+            Code snapshot · {turn.language}
+            <span className="font-normal">
+              {" "}
+              ·{" "}
+              {turn.trigger === "manual" ? "shared by candidate" : "autosaved"}
+            </span>
+          </div>
+          <pre className="p-3 text-xs overflow-x-auto bg-slate-50">
+            {turn.text}
+          </pre>
+        </div>
+      </div>
+    );
+  }
+
+  const isCandidate = turn.role === "candidate";
+  return (
+    <div className="flex gap-3">
+      {onSeek ? (
+        <button
+          onClick={onSeek}
+          title="Play from here"
+          className="w-14 shrink-0 pt-1 text-left text-xs text-violet-700 hover:underline tabular-nums"
+        >
+          {offset}
+        </button>
+      ) : (
+        <div className="w-14 shrink-0 pt-1 text-xs text-slate-400 tabular-nums">
+          {offset}
+        </div>
+      )}
+      <div
+        className={`flex-1 rounded-lg px-3 py-2 ${
+          isCandidate ? "bg-violet-50" : "bg-slate-50"
+        } ${isActive ? "ring-2 ring-violet-400" : ""}`}
+      >
+        <div className="text-xs font-medium text-slate-500 mb-1">
+          {isCandidate ? "Candidate" : "Interviewer"}
+          {turn.typed ? (
+            <span className="ml-1 px-1.5 py-0.5 rounded bg-slate-200 text-[10px] uppercase tracking-wide">
+              typed
+            </span>
+          ) : null}
+          <span className="font-normal">
+            {" "}
+            · {new Date(turn.startedAt).toLocaleTimeString()}
+          </span>
+        </div>
+        <div className="text-sm whitespace-pre-wrap">
+          {turn.text || <span className="text-slate-400">(no speech)</span>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function InterviewDetail({ interviewId }) {
+  const [interview, setInterview] = useState(null);
+  const [error, setError] = useState("");
+  const [tab, setTab] = useState("transcript");
+  const recordingRef = useRef(null);
+  const [playbackSeconds, setPlaybackSeconds] = useState(null);
+  const [needsSignIn, setNeedsSignIn] = useState(false);
+  const [isScoring, setIsScoring] = useState(false);
+
+  useEffect(() => {
+    if (needsSignIn) return;
+    (async () => {
+      try {
+        setInterview(await fetchRecruiterJson(`/interviews/${interviewId}`));
+      } catch (err) {
+        if (err instanceof SignInRequiredError) {
+          setNeedsSignIn(true);
+          return;
+        }
+        console.error("Failed to load interview", err);
+        setError("Could not load this interview.");
+      }
+    })();
+  }, [interviewId, needsSignIn]);
+
+  // Transcript times are wall-clock; the recording is positioned relative to
+  // when the candidate's browser started it
+  const recording = interview?.recording;
+  const playbackAt =
+    recording && playbackSeconds !== null
+      ? Date.parse(recording.startedAt) + playbackSeconds * 1000
+      : null;
+  const activeTurnId =
+    playbackAt === null
+      ? null
+      : interview.transcript.findLast(
+          (turn) =>
+            turn.role !== "system" && Date.parse(turn.startedAt) <= playbackAt,
+        )?.itemId;
+
+  async function scoreNow() {
+    setIsScoring(true);
+    try {
+      const scores = await fetchRecruiterJson(
+        `/interviews/${interview.id}/scores`,
+        { method: "POST" },
+      );
+      setInterview((prev) => ({ ...prev, scores, scoringError: null }));
+    } catch (err) {
+      if (err instanceof SignInRequiredError) {
+        setNeedsSignIn(true);
+        return;
+      }
+      setInterview((prev) => ({ ...prev, scoringError: err.message }));
+    } finally {
+      setIsScoring(false);
+    }
+  }
+
+  function seekTo(at) {
+    const video = recordingRef.current;
+    if (!video) return;
+    video.currentTime = secondsBetween(recording.startedAt, at);
+    video.play().catch(() => {});
+  }
+
+  const proctoring = interview?.proctoringSummary;
+
+  const tabClass = (name) =>
+    `px-3 py-2 text-sm border-b-2 ${
+      tab === name
+        ? "border-violet-600 text-violet-700 font-medium"
+        : "border-transparent text-slate-500 hover:text-slate-700"
+    }`;
+
+  return (
+    <div className="h-full overflow-y-auto p-6">
+      <div className="max-w-4xl mx-auto flex flex-col gap-4">
+        <Link
+          to="/recruiter"
+          className="text-sm text-violet-700 hover:underline"
+        >
+          ← All interviews
+        </Link>
+        {needsSignIn ? (
+          <RecruiterSignIn onSignedIn={() => setNeedsSignIn(false)} />
+        ) : error ? (
+          <div className="card p-4 text-sm text-red-600">{error}</div>
+        ) : !interview ? (
+          <div className="card p-4 text-sm text-slate-500">Loading...</div>
+        ) : (
+          <>
+            <div className="card p-4 flex flex-col gap-1">
+              <h1 className="text-xl font-semibold">
+                {interview.roleTitle} Interview
+              </h1>
+              {interview.candidate ? (
+                <div className="text-sm">
+                  {interview.candidate.name} · {interview.candidate.email}
+                </div>
+              ) : null}
+              <div className="text-sm text-slate-500">
+                {interview.companyName} · {interview.templateId} ·{" "}
+                {formatDateTime(interview.createdAt)}
+              </div>
+              {interview.completedAt ? (
+                <div className="text-sm text-slate-500">
+                  Duration{" "}
+                  {formatTime(
+                    secondsBetween(interview.createdAt, interview.completedAt),
+                  )}
+                  {interview.completion?.reason
+                    ? ` · Reason: ${interview.completion.reason}`
+                    : null}
+                </div>
+              ) : null}
+              {proctoring?.active ? (
+                <button
+                  onClick={() => setTab("proctoring")}
+                  className={`self-start text-sm hover:underline ${
+                    proctoring.flags.length > 0
+                      ? "text-amber-700"
+                      : "text-slate-500"
+                  }`}
+                >
+                  Proctoring:{" "}
+                  {proctoring.flags.length === 0
+                    ? "no flags"
+                    : `${proctoring.flags.length} ${proctoring.flags.length === 1 ? "flag" : "flags"}`}
+                </button>
+              ) : null}
+              {interview.completion?.summary ? (
+                <p className="text-sm text-slate-700 mt-2">
+                  {interview.completion.summary}
+                </p>
+              ) : null}
+            </div>
+
+            {recording ? (
+              <div className="card overflow-hidden">
+                <video
+                  ref={recordingRef}
+                  src={`/interviews/${interview.id}/recording`}
+                  controls
+                  playsInline
+                  className="w-full max-h-96 bg-black"
+                  onTimeUpdate={(e) => setPlaybackSeconds(e.target.currentTime)}
+                />
+              </div>
+            ) : null}
+
+            <div className="card">
+              <div className="flex gap-2 px-4 border-b border-slate-200">
+                <button
+                  className={tabClass("transcript")}
+                  onClick={() => setTab("transcript")}
+                >
+                  Transcript
+                </button>
+                <button
+                  className={tabClass("scores")}
+                  onClick={() => setTab("scores")}
+                >
+                  Scores
+                </button>
+                {proctoring?.active ? (
+                  <button
+                    className={tabClass("proctoring")}
+                    onClick={() => setTab("proctoring")}
+                  >
+                    Proctoring
+                  </button>
+                ) : null}
+                <button
+                  className={tabClass("events")}
+                  onClick={() => setTab("events")}
+                >
+                  Raw events
+                </button>
+              </div>
+              <div className="p-4">
+                {tab === "transcript" ? (
+                  interview.transcript.length === 0 ? (
+                    <div className="text-sm text-slate-500">
+                      No transcript was recorded.
+                    </div>
+                  ) : (
+                    <div className="flex flex-col gap-3">
+                      {interview.transcript.map((turn) => (
+                        <TranscriptTurn
+                          key={turn.itemId}
+                          turn={turn}
+                          startedAt={interview.createdAt}
+                          isActive={turn.itemId === activeTurnId}
+                          onSeek={
+                            recording ? () => seekTo(turn.startedAt) : null
+                          }
+                        />
+                      ))}
+                    </div>
+                  )
+                ) : tab === "scores" ? (
+                  <div className="flex flex-col gap-4">
+                    {interview.scoringError ? (
+                      <div className="text-sm text-red-600">
+                        Scoring failed: {interview.scoringError}
+                      </div>
+                    ) : null}
+                    {interview.scores ? (
+                      <Scorecard
+                        scores={interview.scores}
+                        questions={interview.questions}
+                      />
+                    ) : (
+                      <div className="text-sm text-slate-500">
+                        {!interview.questions.some((q) => q.rubric)
+                          ? "This interview's questions have no rubric."
+                          : interview.status === "completed"
+                            ? "Not scored yet."
+                            : "Scores are worked out from the transcript once the interview ends."}
+                      </div>
+                    )}
+                    {interview.status === "completed" &&
+                    interview.questions.some((q) => q.rubric) ? (
+                      <button
+                        onClick={scoreNow}
+                        disabled={isScoring}
+                        className="self-start px-3 py-1.5 rounded-full text-sm text-white bg-violet-600 hover:bg-violet-700 disabled:opacity-50"
+                      >
+                        {isScoring
+                          ? "Scoring..."
+                          : interview.scores
+                            ? "Score again"
+                            : "Score now"}
+                      </button>
+                    ) : null}
+                  </div>
+                ) : tab === "proctoring" ? (
+                  <ProctoringReport
+                    summary={proctoring}
+                    signals={interview.proctoring}
+                    startedAt={interview.createdAt}
+                    onSeek={recording ? seekTo : null}
+                  />
+                ) : (
+                  <EventLog events={interview.events} />
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
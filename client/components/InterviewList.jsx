@@ -0,0 +1,116 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import RecruiterSignIn from "./RecruiterSignIn";
+import { formatDateTime, formatTime } from "../lib/format";
+import { SignInRequiredError, fetchRecruiterJson } from "../lib/recruiter";
+
+export default function InterviewList() {
+  const [interviews, setInterviews] = useState(null);
+  const [error, setError] = useState("");
+  const [needsSignIn, setNeedsSignIn] = useState(false);
+
+  useEffect(() => {
+    if (needsSignIn) return;
+    (async () => {
+      try {
+        const data = await fetchRecruiterJson("/interviews?status=completed");
+        setInterviews(data.interviews);
+      } catch (err) {
+        if (err instanceof SignInRequiredError) {
+          setNeedsSignIn(true);
+          return;
+        }
+        console.error("Failed to load interviews", err);
+        setError("Could not load interviews.");
+      }
+    })();
+  }, [needsSignIn]);
+
+  if (needsSignIn) {
+    return (
+      <div className="h-full overflow-y-auto p-6">
+        <div className="max-w-6xl mx-auto">
+          <RecruiterSignIn onSignedIn={() => setNeedsSignIn(false)} />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-full overflow-y-auto p-6">
+      <div className="max-w-6xl mx-auto flex flex-col gap-4">
+        <h1 className="text-xl font-semibold">Completed Interviews</h1>
+        <div className="card overflow-hidden">
+          {error ? (
+            <div className="p-4 text-sm text-red-600">{error}</div>
+          ) : !interviews ? (
+            <div className="p-4 text-sm text-slate-500">Loading...</div>
+          ) : interviews.length === 0 ? (
+            <div className="p-4 text-sm text-slate-500">
+              No completed interviews yet.
+            </div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="bg-slate-50 text-left text-slate-500">
+                <tr>
+                  <th className="px-4 py-2 font-medium">Date</th>
+                  <th className="px-4 py-2 font-medium">Candidate</th>
+                  <th className="px-4 py-2 font-medium">Template</th>
+                  <th className="px-4 py-2 font-medium">Duration</th>
+                  <th className="px-4 py-2 font-medium">Reason</th>
+                  <th className="px-4 py-2 font-medium">Score</th>
+                  <th className="px-4 py-2 font-medium">Summary</th>
+                </tr>
+              </thead>
+              <tbody>
+                {interviews.map((interview) => (
+                  <tr
+                    key={interview.id}
+                    className="border-t border-slate-200 align-top hover:bg-slate-50"
+                  >
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      <Link
+                        to={`/recruiter/interviews/${interview.id}`}
+                        className="text-violet-700 hover:underline"
+                      >
+                        {formatDateTime(interview.createdAt)}
+                      </Link>
+                    </td>
+                    <td className="px-4 py-2">
+                      <div>{interview.candidate?.name || "—"}</div>
+                      <div className="text-xs text-slate-500">
+                        {interview.candidate?.email}
+                      </div>
+                    </td>
+                    <td className="px-4 py-2">
+                      <div>{interview.roleTitle}</div>
+                      <div className="text-xs text-slate-500">
+                        {interview.templateId}
+                      </div>
+                    </td>
+                    <td className="px-4 py-2">
+                      {interview.durationSeconds === null
+                        ? "—"
+                        : formatTime(interview.durationSeconds)}
+                    </td>
+                    <td className="px-4 py-2">
+                      {interview.completion?.reason || "—"}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      {interview.averageScore === null
+                        ? "—"
+                        : `${interview.averageScore} / 5`}
+                    </td>
+                    <td className="px-4 py-2 text-slate-600">
+                      {interview.completion?.summary || "—"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
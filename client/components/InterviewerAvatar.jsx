@@ -0,0 +1,61 @@
+import { useEffect, useRef, useState } from "react";
+
+// Clip for `state`, standing in the idle loop for a missing entry or
+// talking clip. Null when the persona has no usable video at all.
+function getInterviewerSrc(avatar, state) {
+  return avatar[state] || avatar.idle || null;
+}
+
+// The persona's face. Plays its avatar clip for `state` (entry | idle |
+// talking), falling back to its still image, or to its initial when it has
+// neither, with a pulse while the interviewer talks.
+export default function InterviewerAvatar({ persona, state }) {
+  const videoRef = useRef(null);
+  const [videoFailed, setVideoFailed] = useState(false);
+  const avatar = persona?.avatar || {};
+  const src = videoFailed ? null : getInterviewerSrc(avatar, state);
+
+  // Ensure the video plays when the state or source changes
+  useEffect(() => {
+    const v = videoRef.current;
+    if (!v) return;
+    v.muted = true; // allow autoplay
+    v.loop = state !== "entry";
+    // Force reload so source switches consistently
+    v.load();
+    v.play().catch(() => {});
+  }, [state, src]);
+
+  if (src) {
+    return (
+      <video
+        ref={videoRef}
+        src={src}
+        className="w-full h-full object-cover"
+        playsInline
+        autoPlay
+        muted
+        onError={() => setVideoFailed(true)}
+      />
+    );
+  }
+
+  return (
+    <div className="relative h-40 w-40">
+      {state === "talking" ? (
+        <span className="absolute inset-0 rounded-full bg-violet-400 opacity-60 animate-ping" />
+      ) : null}
+      {avatar.image ? (
+        <img
+          src={avatar.image}
+          alt={persona.name}
+          className="relative h-full w-full rounded-full object-cover shadow-lg"
+        />
+      ) : (
+        <div className="relative h-full w-full rounded-full header-gradient text-white text-6xl font-semibold flex items-center justify-center shadow-lg">
+          {persona?.name.charAt(0)}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import { formatTime, secondsBetween } from "../lib/format";
+
+const FACE_DETECTION = {
+  face_detector: "browser face detector",
+  frame_heuristic: "frame heuristic",
+  none: "off, no camera",
+};
+
+const FIELDS = {
+  code_editor: "the code editor",
+  text_answer: "the answer box",
+};
+
+function times(count) {
+  return count === 1 ? "once" : `${count} times`;
+}
+
+function flagText(flag) {
+  switch (flag.type) {
+    case "tab_hidden":
+      return `Left the tab ${times(flag.count)}, away ${formatTime(flag.seconds)}`;
+    case "focus_lost":
+      return `Window lost focus ${times(flag.count)}, ${formatTime(flag.seconds)} in total`;
+    case "face_missing":
+      return `No face visible ${times(flag.count)}, ${formatTime(flag.seconds)} in total`;
+    case "paste":
+      return `Pasted ${times(flag.count)}, ${flag.characters} characters`;
+    case "copy":
+      return `Copied ${times(flag.count)}, ${flag.characters} characters`;
+    default:
+      return flag.type;
+  }
+}
+
+function signalText(signal) {
+  const field = FIELDS[signal.field] || signal.field;
+  switch (signal.signal) {
+    case "started":
+      return `Proctoring started (face detection: ${
+        FACE_DETECTION[signal.faceDetection] || signal.faceDetection
+      })`;
+    case "tab_hidden":
+      return "Left the interview tab";
+    case "tab_visible":
+      return "Came back to the interview tab";
+    case "focus_lost":
+      return "Window lost focus";
+    case "focus_regained":
+      return "Window focused again";
+    case "copy":
+      return `Copied ${signal.characters} characters from ${field}`;
+    case "paste":
+      return `Pasted ${signal.characters} characters into ${field}`;
+    case "face_missing":
+      return "No face visible on camera";
+    case "face_present":
+      return "Face visible again";
+    default:
+      return signal.signal;
+  }
+}
+
+const CLEAR_SIGNALS = [
+  "started",
+  "tab_visible",
+  "focus_regained",
+  "face_present",
+];
+
+// Flags from the proctoring summary, then every signal in order. `onSeek` is
+// set when there is a recording to jump to a signal in.
+export default function ProctoringReport({
+  summary,
+  signals,
+  startedAt,
+  onSeek,
+}) {
+  return (
+    <div className="flex flex-col gap-4">
+      {summary.flags.length === 0 ? (
+        <div className="text-sm text-slate-600">
+          No tab switches, focus loss, copy/paste or missing face were recorded.
+        </div>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {summary.flags.map((flag) => (
+            <span
+              key={flag.type}
+              className="px-2 py-1 rounded-full text-xs bg-amber-100 text-amber-800"
+            >
+              {flagText(flag)}
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="text-xs text-slate-500">
+        Signals are recorded in the candidate's browser and can be wrong, so
+        check them against the recording. Face detection:{" "}
+        {FACE_DETECTION[summary.faceDetection] || summary.faceDetection}.
+      </div>
+      <div className="flex flex-col gap-1">
+        {[...signals]
+          .sort((a, b) => a.at.localeCompare(b.at))
+          .map((signal) => {
+            const offset = formatTime(secondsBetween(startedAt, signal.at));
+            return (
+              <div key={signal.id} className="flex gap-3 text-sm">
+                {onSeek ? (
+                  <button
+                    onClick={() => onSeek(signal.at)}
+                    title="Play from here"
+                    className="w-14 shrink-0 text-left text-xs text-violet-700 hover:underline tabular-nums"
+                  >
+                    {offset}
+                  </button>
+                ) : (
+                  <div className="w-14 shrink-0 text-xs text-slate-400 tabular-nums">
+                    {offset}
+                  </div>
+                )}
+                <div
+                  className={
+                    CLEAR_SIGNALS.includes(signal.signal)
+                      ? "text-slate-500"
+                      : "text-amber-800"
+                  }
+                >
+                  {signalText(signal)}
+                </div>
+              </div>
+            );
+          })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import { useState } from "react";
+import { signInRecruiter } from "../lib/recruiter";
+
+// Asks for the recruiter API key before showing interview records
+export default function RecruiterSignIn({ onSignedIn }) {
+  const [apiKey, setApiKey] = useState("");
+  const [error, setError] = useState("");
+  const [isSigningIn, setIsSigningIn] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setIsSigningIn(true);
+    setError("");
+    try {
+      await signInRecruiter(apiKey);
+      onSignedIn();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSigningIn(false);
+    }
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="card p-4 max-w-sm flex flex-col gap-3"
+    >
+      <div className="text-sm text-slate-600">
+        Enter the recruiter API key to review interviews.
+      </div>
+      <input
+        type="password"
+        value={apiKey}
+        onChange={(e) => setApiKey(e.target.value)}
+        autoComplete="current-password"
+        aria-label="Recruiter API key"
+        className="border border-slate-300 rounded-md px-3 py-2 text-sm"
+      />
+      {error ? <div className="text-sm text-red-600">{error}</div> : null}
+      <button
+        type="submit"
+        disabled={!apiKey || isSigningIn}
+        className="self-start px-4 py-2 rounded-full text-sm text-white bg-violet-600 hover:bg-violet-700 disabled:opacity-50"
+      >
+        {isSigningIn ? "Signing in..." : "Sign in"}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,69 @@
+function ScoreDots({ score }) {
+  return (
+    <div className="flex gap-1" title={`${score} / 5`}>
+      {[1, 2, 3, 4, 5].map((n) => (
+        <span
+          key={n}
+          className={`h-2 w-2 rounded-full ${
+            n <= score ? "bg-violet-600" : "bg-slate-200"
+          }`}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default function Scorecard({ scores, questions }) {
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="text-sm text-slate-600">
+        Overall average:{" "}
+        <span className="font-semibold">{scores.average ?? "—"}</span> / 5
+      </div>
+      {scores.questions.map((scored) => {
+        const question = questions.find((q) => q.id === scored.questionId);
+        return (
+          <div key={scored.questionId} className="flex flex-col gap-2">
+            <div className="flex items-baseline justify-between gap-4">
+              <div className="text-sm font-medium">
+                {question?.text || scored.questionId}
+              </div>
+              <div className="text-xs text-slate-500 whitespace-nowrap">
+                avg {scored.average} / 5
+              </div>
+            </div>
+            {scored.criteria.map((criterion) => {
+              const rubric = question?.rubric?.find(
+                (c) => c.id === criterion.criterionId,
+              );
+              return (
+                <div
+                  key={criterion.criterionId}
+                  className="rounded-lg bg-slate-50 px-3 py-2 flex flex-col gap-1"
+                >
+                  <div className="flex items-center justify-between gap-4">
+                    <div className="text-xs text-slate-600">
+                      <span className="font-medium">
+                        {criterion.criterionId}
+                      </span>
+                      {rubric ? ` — ${rubric.description}` : null}
+                    </div>
+                    <ScoreDots score={criterion.score} />
+                  </div>
+                  {criterion.evidence.map((quote, i) => (
+                    <blockquote
+                      key={i}
+                      className="text-xs text-slate-500 italic border-l-2 border-violet-200 pl-2"
+                    >
+                      “{quote}”
+                    </blockquote>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,94 +1,148 @@
-import { useState } from "react";
-import { Mic, RotateCcw, Volume2 } from "react-feather";
-
-function SessionStopped({ startSession }) {
-  const [isActivating, setIsActivating] = useState(false);
-
-  async function handleStartSession() {
-    if (isActivating) return;
-    setIsActivating(true);
-    try {
-      await startSession();
-    } finally {
-      setIsActivating(false);
-    }
-  }
+import { useEffect } from "react";
+import { Mic, MicOff, RotateCcw } from "react-feather";
+import SpeakerControl from "./SpeakerControl";
+import { useT } from "../i18n";
 
+// Text fields keep the space bar for typing
+function isTyping(target) {
   return (
-    <div className="flex flex-col items-center justify-center w-full h-full gap-3">
-      <div className={`relative h-16 w-16 rounded-full flex items-center justify-center text-white shadow-lg cursor-pointer bg-gradient-to-br from-violet-600 to-violet-500 ${isActivating ? "opacity-70" : "hover:brightness-110"}`} onClick={handleStartSession}>
-        <Mic size={24} />
-      </div>
-      <div className="text-xs text-slate-500">Click the microphone to start your response</div>
-    </div>
+    target instanceof HTMLElement &&
+    (target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
   );
 }
 
-function SessionActive({ sendTextMessage, sendClientEvent }) {
-  const [isRequesting, setIsRequesting] = useState(false);
+function SessionActive({
+  sendTextMessage,
+  speaker,
+  onSpeakerChange,
+  micMuted,
+  onToggleMute,
+  pushToTalk,
+  onPushToTalkChange,
+  isTalking,
+  onTalkStart,
+  onTalkEnd,
+}) {
+  const t = useT();
+
+  // Hold the space bar to talk
+  useEffect(() => {
+    if (!pushToTalk) return;
+    const handleKeyDown = (e) => {
+      if (e.code !== "Space" || e.repeat || isTyping(e.target)) return;
+      e.preventDefault();
+      onTalkStart();
+    };
+    const handleKeyUp = (e) => {
+      if (e.code !== "Space" || isTyping(e.target)) return;
+      e.preventDefault();
+      onTalkEnd();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+    };
+  }, [pushToTalk, onTalkStart, onTalkEnd]);
 
-  async function handleMicClick() {
-    if (isRequesting) return;
-    setIsRequesting(true);
-    try {
-      // Nudge the model to continue/respond if needed
-      sendClientEvent({ type: "response.create" });
-    } finally {
-      setIsRequesting(false);
-    }
-  }
+  const micButtonClass = `relative h-16 w-16 rounded-full flex items-center justify-center text-white shadow-lg hover:brightness-110 ${
+    pushToTalk
+      ? isTalking
+        ? "bg-green-600 scale-105"
+        : "bg-gradient-to-br from-violet-600 to-violet-500"
+      : micMuted
+        ? "bg-slate-500"
+        : "bg-gradient-to-br from-violet-600 to-violet-500"
+  }`;
 
   return (
     <div className="flex flex-col items-center justify-center w-full h-full gap-4">
       <div className="flex items-center justify-center gap-6">
         <button
           className="h-12 w-12 rounded-full bg-slate-100 hover:bg-slate-200 text-slate-700 flex items-center justify-center shadow"
-          onClick={() => sendTextMessage("Could you please repeat the question?")}
-          title="Replay prompt"
+          onClick={() => sendTextMessage(t("controls.repeatRequest"))}
+          title={t("controls.replay")}
         >
           <RotateCcw size={18} />
         </button>
 
-        <button
-          className={`relative h-16 w-16 rounded-full flex items-center justify-center text-white shadow-lg bg-gradient-to-br from-violet-600 to-violet-500 ${isRequesting ? "opacity-70" : "hover:brightness-110"}`}
-          onClick={handleMicClick}
-          title="Respond"
-        >
-          <Mic size={24} />
-        </button>
+        {pushToTalk ? (
+          <button
+            className={`${micButtonClass} select-none touch-none`}
+            onPointerDown={(e) => {
+              e.currentTarget.setPointerCapture(e.pointerId);
+              onTalkStart();
+            }}
+            onPointerUp={onTalkEnd}
+            onPointerCancel={onTalkEnd}
+            title={t("controls.holdToTalk")}
+          >
+            <Mic size={24} />
+          </button>
+        ) : (
+          <button
+            className={micButtonClass}
+            onClick={onToggleMute}
+            title={micMuted ? t("controls.unmute") : t("controls.mute")}
+            aria-pressed={micMuted}
+          >
+            {micMuted ? <MicOff size={24} /> : <Mic size={24} />}
+          </button>
+        )}
 
-        <button
-          className="h-12 w-12 rounded-full bg-slate-100 hover:bg-slate-200 text-slate-700 flex items-center justify-center shadow"
-          onClick={() => {}}
-          title="Speaker"
-        >
-          <Volume2 size={18} />
-        </button>
+        <SpeakerControl speaker={speaker} onChange={onSpeakerChange} />
+      </div>
+      <div className="text-xs text-slate-500">
+        {pushToTalk
+          ? isTalking
+            ? t("controls.releaseToSend")
+            : t("controls.holdHint")
+          : micMuted
+            ? t("controls.mutedHint")
+            : t("controls.onHint")}
       </div>
-      <div className="text-xs text-slate-500">Click the microphone to start your response</div>
+      <label className="flex items-center gap-2 text-xs text-slate-600">
+        <input
+          type="checkbox"
+          checked={pushToTalk}
+          onChange={(e) => onPushToTalkChange(e.target.checked)}
+        />
+        {t("controls.pushToTalk")}
+      </label>
     </div>
   );
 }
 
 export default function SessionControls({
-  startSession,
-  stopSession,
-  sendClientEvent,
   sendTextMessage,
   serverEvents,
-  isSessionActive,
+  speaker,
+  onSpeakerChange,
+  micMuted,
+  onToggleMute,
+  pushToTalk,
+  onPushToTalkChange,
+  isTalking,
+  onTalkStart,
+  onTalkEnd,
 }) {
   return (
     <div className="h-full w-full">
-      {isSessionActive ? (
-        <SessionActive
-          sendClientEvent={sendClientEvent}
-          sendTextMessage={sendTextMessage}
-          serverEvents={serverEvents}
-        />
-      ) : (
-        <SessionStopped startSession={startSession} />
-      )}
+      <SessionActive
+        sendTextMessage={sendTextMessage}
+        serverEvents={serverEvents}
+        speaker={speaker}
+        onSpeakerChange={onSpeakerChange}
+        micMuted={micMuted}
+        onToggleMute={onToggleMute}
+        pushToTalk={pushToTalk}
+        onPushToTalkChange={onPushToTalkChange}
+        isTalking={isTalking}
+        onTalkStart={onTalkStart}
+        onTalkEnd={onTalkEnd}
+      />
     </div>
   );
 }
@@ -0,0 +1,84 @@
+import { useEffect, useState } from "react";
+import { Volume2, VolumeX } from "react-feather";
+import { canSelectOutput } from "../lib/speaker";
+import { useT } from "../i18n";
+
+// Speaker button with a popover for volume, mute and output device
+export default function SpeakerControl({ speaker, onChange }) {
+  const t = useT();
+  const [isOpen, setIsOpen] = useState(false);
+  const [outputs, setOutputs] = useState([]);
+
+  useEffect(() => {
+    if (!isOpen || !canSelectOutput()) return;
+    navigator.mediaDevices
+      .enumerateDevices()
+      .then((all) => setOutputs(all.filter((d) => d.kind === "audiooutput")))
+      .catch((err) => console.warn("Could not list audio outputs", err));
+  }, [isOpen]);
+
+  const isSilent = speaker.muted || speaker.volume === 0;
+
+  return (
+    <div className="relative">
+      <button
+        className="h-12 w-12 rounded-full bg-slate-100 hover:bg-slate-200 text-slate-700 flex items-center justify-center shadow"
+        onClick={() => setIsOpen((open) => !open)}
+        title={t("speaker.title")}
+        aria-expanded={isOpen}
+      >
+        {isSilent ? <VolumeX size={18} /> : <Volume2 size={18} />}
+      </button>
+      {isOpen ? (
+        <div className="absolute bottom-14 left-1/2 -translate-x-1/2 z-10 w-64 card p-3 flex flex-col gap-3 text-sm shadow-lg">
+          <div className="flex items-center gap-2">
+            <button
+              className="h-8 w-8 shrink-0 rounded-full bg-slate-100 hover:bg-slate-200 flex items-center justify-center"
+              onClick={() => onChange({ ...speaker, muted: !speaker.muted })}
+              title={t(speaker.muted ? "speaker.unmute" : "speaker.mute")}
+            >
+              {speaker.muted ? <VolumeX size={14} /> : <Volume2 size={14} />}
+            </button>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={speaker.volume}
+              onChange={(e) =>
+                onChange({
+                  ...speaker,
+                  volume: Number(e.target.value),
+                  muted: false,
+                })
+              }
+              className="flex-1 accent-violet-600"
+              aria-label={t("speaker.volume")}
+            />
+          </div>
+          {canSelectOutput() ? (
+            <label className="flex flex-col gap-1">
+              <span className="text-slate-600">{t("speaker.output")}</span>
+              <select
+                className="border border-slate-300 rounded-md px-2 py-1.5 bg-white"
+                value={speaker.sinkId}
+                onChange={(e) =>
+                  onChange({ ...speaker, sinkId: e.target.value })
+                }
+              >
+                <option value="">{t("speaker.default")}</option>
+                {outputs
+                  .filter((d) => d.deviceId !== "default")
+                  .map((device, i) => (
+                    <option key={device.deviceId} value={device.deviceId}>
+                      {device.label || t("speaker.device", { number: i + 1 })}
+                    </option>
+                  ))}
+              </select>
+            </label>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { useState } from "react";
+import { Send } from "react-feather";
+import { useT } from "../i18n";
+
+// Chat-style box for answers the candidate would rather type than say, like
+// a URL or a command. Enter sends; Shift+Enter adds a line.
+export default function TextAnswerInput({ onSend, disabled }) {
+  const t = useT();
+  const [text, setText] = useState("");
+
+  function send() {
+    const message = text.trim();
+    if (!message || disabled) return;
+    onSend(message);
+    setText("");
+  }
+
+  return (
+    <form
+      className="mt-4 mx-auto max-w-xl flex items-end gap-2"
+      onSubmit={(e) => {
+        e.preventDefault();
+        send();
+      }}
+    >
+      <textarea
+        rows={1}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && !e.shiftKey) {
+            e.preventDefault();
+            send();
+          }
+        }}
+        disabled={disabled}
+        data-proctoring-field="text_answer"
+        placeholder={t("textInput.placeholder")}
+        aria-label={t("textInput.label")}
+        className="flex-1 resize-none border border-slate-300 rounded-2xl px-4 py-2 text-sm bg-white outline-none focus:border-violet-500 disabled:opacity-60"
+      />
+      <button
+        type="submit"
+        disabled={disabled || !text.trim()}
+        title={t("textInput.send")}
+        className="h-9 w-9 shrink-0 rounded-full flex items-center justify-center text-white bg-violet-600 hover:bg-violet-700 disabled:opacity-50"
+      >
+        <Send size={16} />
+      </button>
+    </form>
+  );
+}
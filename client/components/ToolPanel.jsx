@@ -1,7 +1,105 @@
-export default function ToolPanel() {
+import { useEffect, useRef, useState } from "react";
+import { Send } from "react-feather";
+import { useT } from "../i18n";
+
+const AUTO_SHARE_DELAY_MS = 4000; // pause in typing before the code is shared
+const INDENT = "  ";
+
+// Code editor for live coding questions. The candidate's code is shared with
+// the interviewer when they ask for it, and automatically once they stop
+// typing for a few seconds. Unchanged code isn't shared twice, except that
+// code only shared automatically can still be sent for review.
+export default function ToolPanel({
+  languages,
+  interviewerName,
+  onShare,
+  disabled,
+}) {
+  const t = useT();
+  const [language, setLanguage] = useState(languages[0]);
+  const [code, setCode] = useState("");
+  // { language, code, trigger, at }
+  const [lastShared, setLastShared] = useState(null);
+  const textareaRef = useRef(null);
+
+  const isShared =
+    lastShared?.code === code && lastShared?.language === language;
+
+  function canShare(trigger) {
+    if (disabled || !code.trim()) return false;
+    return !isShared || (trigger === "manual" && lastShared.trigger === "auto");
+  }
+
+  function share(trigger) {
+    if (!canShare(trigger)) return;
+    onShare({ language, code, trigger });
+    setLastShared({ language, code, trigger, at: new Date() });
+  }
+
+  useEffect(() => {
+    if (!canShare("auto")) return;
+    const timer = setTimeout(() => share("auto"), AUTO_SHARE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [code, language, disabled]);
+
+  // Tab indents instead of leaving the editor
+  function handleKeyDown(e) {
+    if (e.key !== "Tab" || e.shiftKey) return;
+    e.preventDefault();
+    const textarea = textareaRef.current;
+    const { selectionStart, selectionEnd } = textarea;
+    setCode(code.slice(0, selectionStart) + INDENT + code.slice(selectionEnd));
+    requestAnimationFrame(() => {
+      textarea.selectionStart = textarea.selectionEnd =
+        selectionStart + INDENT.length;
+    });
+  }
+
   return (
-    <section className="h-full w-full flex items-center justify-center text-gray-500">
-      <p>Two‑pane interview UI active. No extra tools available here.</p>
+    <section className="h-full w-full flex flex-col">
+      <div className="px-4 py-3 border-b border-slate-200 flex items-center justify-between gap-2">
+        <span className="text-sm font-medium">{t("editor.title")}</span>
+        <select
+          className="border border-slate-300 rounded-md px-2 py-1 text-sm bg-white"
+          value={language}
+          onChange={(e) => setLanguage(e.target.value)}
+          aria-label={t("editor.language")}
+        >
+          {languages.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <textarea
+        ref={textareaRef}
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        onKeyDown={handleKeyDown}
+        disabled={disabled}
+        data-proctoring-field="code_editor"
+        spellCheck={false}
+        placeholder={t("editor.placeholder", { name: interviewerName })}
+        className="flex-1 min-h-48 p-3 font-mono text-sm resize-none outline-none bg-slate-50 disabled:opacity-60"
+      />
+      <div className="px-4 py-2 border-t border-slate-200 flex items-center justify-between gap-2 text-xs text-slate-500">
+        <span>
+          {lastShared
+            ? t(isShared ? "editor.shared" : "editor.lastShared", {
+                time: lastShared.at.toLocaleTimeString(),
+              })
+            : t("editor.notShared")}
+        </span>
+        <button
+          onClick={() => share("manual")}
+          disabled={!canShare("manual")}
+          className="flex items-center gap-1 px-3 py-1.5 rounded-full text-white bg-violet-600 hover:bg-violet-700 disabled:opacity-50"
+        >
+          <Send size={12} />
+          {t("editor.share", { name: interviewerName })}
+        </button>
+      </div>
     </section>
   );
 }
@@ -1,11 +1,14 @@
 import { StrictMode } from "react";
 import ReactDOM from "react-dom/client";
-import App from "./components/App";
+import { BrowserRouter } from "react-router-dom";
+import AppRoutes from "./routes";
 import "./base.css";
 
 ReactDOM.hydrateRoot(
   document.getElementById("root"),
   <StrictMode>
-    <App />
+    <BrowserRouter>
+      <AppRoutes />
+    </BrowserRouter>
   </StrictMode>,
 );
@@ -0,0 +1,142 @@
+export default {
+  "header.interview": "Interview",
+  "header.roleInterview": "Interview: {role}",
+  "header.timeRemaining": "Verbleibende Zeit:",
+  "header.endInterview": "Interview beenden",
+
+  "progress.question": "Frage {current} von {total}",
+  "progress.skipped": "{count} übersprungen",
+
+  "interviewer.meet": "Das ist {name}",
+
+  "completed.title": "Interview abgeschlossen",
+  "completed.thanks":
+    "Vielen Dank für deine Zeit. Du kannst die Sitzung jetzt beenden.",
+  "completed.reason": "Grund: {reason}",
+  "completed.reason.finished_all_questions": "alle Fragen beantwortet",
+  "completed.reason.time_up": "Zeit abgelaufen",
+  "completed.reason.user_requested": "auf deinen Wunsch beendet",
+  "completed.reason.other": "sonstiges",
+  "unavailable.title": "Interview nicht verfügbar",
+  "invite.missing":
+    "Dieses Interview kann nur über einen Einladungslink geöffnet werden.",
+  "invite.invalid": "Dieser Einladungslink ist ungültig.",
+  "invite.expired": "Dieser Einladungslink ist abgelaufen.",
+  "invite.used": "Dieser Einladungslink wurde bereits verwendet.",
+  "invite.loadFailed":
+    "Dein Interview konnte nicht geladen werden. Bitte versuche es erneut.",
+
+  "captions.show": "Untertitel einblenden",
+  "captions.hide": "Untertitel ausblenden",
+  "captions.empty": "Hier erscheinen die Untertitel.",
+  "captions.candidate": "Du",
+
+  "status.notStarted": "Starte die Sitzung, sobald du bereit bist",
+  "status.connectionLost": "Verbindung unterbrochen",
+  "status.listening": "Hört zu...",
+  "status.speaking": "{name} spricht...",
+  "status.waiting": "Wartet auf deine Antwort...",
+
+  "connection.reconnecting":
+    "Verbindung unterbrochen. Dein Interview wird wieder verbunden...",
+  "connection.failed": "Die Verbindung konnte nicht wiederhergestellt werden.",
+  "connection.retry": "Erneut versuchen",
+  "connection.error":
+    "Keine Verbindung zum Interview möglich. Bitte versuche es erneut.",
+  "connection.closed":
+    "Dieses Interview ist beendet und kann nicht fortgesetzt werden.",
+  "connection.rateLimited":
+    "Zu viele Versuche. Bitte warte einen Moment und versuche es erneut.",
+  "connection.timeout":
+    "Der Interview-Dienst hat zu lange nicht geantwortet. Bitte versuche es erneut.",
+  "connection.network":
+    "Der Interview-Dienst ist nicht erreichbar. Prüfe deine Verbindung und versuche es erneut.",
+
+  "video.title": "Dein Video",
+  "video.cameraActive": "Kamera aktiv",
+  "proctoring.active": "Beaufsichtigung aktiv",
+
+  "tips.title": "Tipps",
+  "tips.think": "Nimm dir Zeit zum Nachdenken, bevor du antwortest",
+  "tips.speak": "Sprich deutlich und halte Blickkontakt",
+  "tips.examples": "Untermauere deine Antworten mit Beispielen",
+
+  "footer.ready": "Bereit",
+  "footer.reconnecting": "Verbindung wird wiederhergestellt",
+  "footer.recording": "Aufnahme läuft",
+  "footer.inProgress": "Interview läuft",
+  "footer.skip": "Überspringen",
+  "footer.stop": "Sitzung beenden",
+
+  "controls.replay": "Frage wiederholen",
+  "controls.repeatRequest": "Könnten Sie die Frage bitte wiederholen?",
+  "controls.holdToTalk": "Zum Sprechen gedrückt halten",
+  "controls.mute": "Mikrofon stummschalten",
+  "controls.unmute": "Mikrofon einschalten",
+  "controls.releaseToSend": "Loslassen, um deine Antwort zu senden",
+  "controls.holdHint":
+    "Halte das Mikrofon oder die Leertaste gedrückt, während du sprichst",
+  "controls.mutedHint":
+    "Dein Mikrofon ist stummgeschaltet. Klicke darauf, um es einzuschalten",
+  "controls.onHint":
+    "Dein Mikrofon ist eingeschaltet. Klicke darauf, um es stummzuschalten",
+  "controls.pushToTalk": "Push-to-Talk (für laute Umgebungen)",
+
+  "speaker.title": "Lautsprecher",
+  "speaker.mute": "Stummschalten",
+  "speaker.unmute": "Ton einschalten",
+  "speaker.volume": "Lautstärke",
+  "speaker.output": "Ausgabegerät",
+  "speaker.default": "Systemstandard",
+  "speaker.device": "Lautsprecher {number}",
+
+  "textInput.placeholder": "Antwort eintippen statt sprechen...",
+  "textInput.label": "Getippte Antwort",
+  "textInput.send": "Senden",
+
+  "deviceCheck.intro":
+    "Prüfe vor dem Start, ob Mikrofon, Kamera und Lautsprecher funktionieren. Dein Browser fragt nach der Berechtigung.",
+  "deviceCheck.check": "Meine Geräte prüfen",
+  "deviceCheck.checking": "Wird geprüft...",
+  "deviceCheck.microphone": "Mikrofon",
+  "deviceCheck.camera": "Kamera",
+  "deviceCheck.noneFound": "Keine gefunden",
+  "deviceCheck.unnamed": "{label} {number}",
+  "deviceCheck.micWorking": "Dein Mikrofon funktioniert.",
+  "deviceCheck.micPrompt": "Sag etwas, um dein Mikrofon zu testen.",
+  "deviceCheck.tryAgain": "Erneut versuchen",
+  "deviceCheck.cameraOptional":
+    "Du kannst das Interview trotzdem ohne Video führen.",
+  "deviceCheck.testSound": "Testton abspielen",
+  "deviceCheck.consent":
+    "Ich bin einverstanden, von einer KI interviewt zu werden, und dass meine Antworten und das Transkript des Interviews mit {company} geteilt werden.",
+  "deviceCheck.hiringTeam": "dem Recruiting-Team",
+  "deviceCheck.recordingConsent":
+    "Auch meine Kamera und den Ton des Interviews aufnehmen, damit das Recruiting-Team es später ansehen kann. Ohne diese Option wird nur das Transkript gespeichert.",
+  "deviceCheck.proctoring":
+    "Dieses Interview wird beaufsichtigt. Währenddessen notiert diese Seite, wann du den Tab oder das Fenster wechselst, in einem Textfeld kopierst oder einfügst (die Menge, nicht den Text) und ob auf deiner Kamera ein Gesicht zu sehen ist. Die Prüfung läuft in deinem Browser; nur diese Notizen werden mit dem Recruiting-Team geteilt.",
+  "deviceCheck.start": "Interview starten",
+  "deviceCheck.starting": "Wird gestartet...",
+  "deviceCheck.micBlocked":
+    "Der Zugriff auf dein Mikrofon wurde blockiert. Erlaube ihn in den Website-Einstellungen deines Browsers und versuche es erneut.",
+  "deviceCheck.micNotFound":
+    "Es wurde kein Mikrofon gefunden. Schließe eines an und versuche es erneut.",
+  "deviceCheck.micBusy":
+    "Dein Mikrofon wird von einer anderen Anwendung verwendet.",
+  "deviceCheck.micFailed": "Dein Mikrofon konnte nicht geöffnet werden.",
+  "deviceCheck.cameraBlocked":
+    "Der Zugriff auf deine Kamera wurde blockiert. Erlaube ihn in den Website-Einstellungen deines Browsers und versuche es erneut.",
+  "deviceCheck.cameraNotFound":
+    "Es wurde keine Kamera gefunden. Schließe eine an und versuche es erneut.",
+  "deviceCheck.cameraBusy":
+    "Deine Kamera wird von einer anderen Anwendung verwendet.",
+  "deviceCheck.cameraFailed": "Deine Kamera konnte nicht geöffnet werden.",
+
+  "editor.title": "Code-Editor",
+  "editor.language": "Sprache",
+  "editor.placeholder": "Schreibe deinen Code hier. {name} kann ihn sehen.",
+  "editor.shared": "Geteilt um {time}",
+  "editor.lastShared": "Zuletzt geteilt um {time}",
+  "editor.notShared": "Noch nicht geteilt",
+  "editor.share": "Mit {name} teilen",
+};
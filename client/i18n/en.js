@@ -0,0 +1,134 @@
+// English UI strings; the fallback for keys other catalogs leave out.
+// `{name}` placeholders are filled in by t(key, { name }).
+export default {
+  "header.interview": "Interview",
+  "header.roleInterview": "{role} Interview",
+  "header.timeRemaining": "Time Remaining:",
+  "header.endInterview": "End Interview",
+
+  "progress.question": "Question {current} of {total}",
+  "progress.skipped": "{count} skipped",
+
+  "interviewer.meet": "Meet {name}",
+
+  "completed.title": "Interview Completed",
+  "completed.thanks": "Thank you for your time. You may end the session now.",
+  "completed.reason": "Reason: {reason}",
+  "completed.reason.finished_all_questions": "all questions answered",
+  "completed.reason.time_up": "time ran out",
+  "completed.reason.user_requested": "ended at your request",
+  "completed.reason.other": "other",
+  "unavailable.title": "Interview unavailable",
+  "invite.missing": "This interview can only be opened from an invite link.",
+  "invite.invalid": "This invite link is not valid.",
+  "invite.expired": "This invite link has expired.",
+  "invite.used": "This invite link has already been used.",
+  "invite.loadFailed": "Could not load your interview. Please try again.",
+
+  "captions.show": "Show captions",
+  "captions.hide": "Hide captions",
+  "captions.empty": "Captions will appear here.",
+  "captions.candidate": "You",
+
+  "status.notStarted": "Start the session when you're ready",
+  "status.connectionLost": "Connection lost",
+  "status.listening": "Listening...",
+  "status.speaking": "{name} is speaking...",
+  "status.waiting": "Waiting for your response...",
+
+  "connection.reconnecting":
+    "Connection lost. Reconnecting to your interview...",
+  "connection.failed": "We couldn't restore the connection.",
+  "connection.retry": "Try again",
+  "connection.error": "Could not connect to the interviewer. Please try again.",
+  "connection.closed": "This interview has ended and can no longer be resumed.",
+  "connection.rateLimited":
+    "Too many attempts. Please wait a moment and try again.",
+  "connection.timeout":
+    "The interview service took too long to respond. Please try again.",
+  "connection.network":
+    "Could not reach the interview service. Check your connection and try again.",
+
+  "video.title": "Your Video",
+  "video.cameraActive": "Camera Active",
+  "proctoring.active": "Proctoring on",
+
+  "tips.title": "Tips",
+  "tips.think": "Take your time to think before answering",
+  "tips.speak": "Speak clearly and maintain eye contact",
+  "tips.examples": "Use examples to support your answers",
+
+  "footer.ready": "Ready",
+  "footer.reconnecting": "Reconnecting",
+  "footer.recording": "Recording in progress",
+  "footer.inProgress": "Interview in progress",
+  "footer.skip": "Skip",
+  "footer.stop": "Stop Session",
+
+  "controls.replay": "Replay prompt",
+  "controls.repeatRequest": "Could you please repeat the question?",
+  "controls.holdToTalk": "Hold to talk",
+  "controls.mute": "Mute microphone",
+  "controls.unmute": "Unmute microphone",
+  "controls.releaseToSend": "Release to send your answer",
+  "controls.holdHint": "Hold the microphone or the space bar while you speak",
+  "controls.mutedHint": "Your microphone is muted. Click it to unmute",
+  "controls.onHint": "Your microphone is on. Click it to mute",
+  "controls.pushToTalk": "Push to talk (for noisy rooms)",
+
+  "speaker.title": "Speaker",
+  "speaker.mute": "Mute",
+  "speaker.unmute": "Unmute",
+  "speaker.volume": "Volume",
+  "speaker.output": "Output device",
+  "speaker.default": "System default",
+  "speaker.device": "Speaker {number}",
+
+  "textInput.placeholder": "Type an answer instead of speaking...",
+  "textInput.label": "Typed answer",
+  "textInput.send": "Send",
+
+  "deviceCheck.intro":
+    "Before you begin, check that your microphone, camera and speakers work. Your browser will ask for permission.",
+  "deviceCheck.check": "Check my devices",
+  "deviceCheck.checking": "Checking...",
+  "deviceCheck.microphone": "Microphone",
+  "deviceCheck.camera": "Camera",
+  "deviceCheck.noneFound": "None found",
+  "deviceCheck.unnamed": "{label} {number}",
+  "deviceCheck.micWorking": "Your microphone is working.",
+  "deviceCheck.micPrompt": "Say something to test your microphone.",
+  "deviceCheck.tryAgain": "Try again",
+  "deviceCheck.cameraOptional":
+    "You can still take the interview without video.",
+  "deviceCheck.testSound": "Play test sound",
+  "deviceCheck.consent":
+    "I agree to be interviewed by an AI interviewer, and for my answers and the interview transcript to be shared with {company}.",
+  "deviceCheck.hiringTeam": "the hiring team",
+  "deviceCheck.recordingConsent":
+    "Also record my camera and the interview audio so the hiring team can review it later. Without this, only the transcript is kept.",
+  "deviceCheck.proctoring":
+    "This interview is proctored. While it runs, this page notes when you switch tabs or windows, copy or paste in a text box (the amount, not the text), and whether a face is visible on your camera. The check runs in your browser; only these notes are shared with the hiring team.",
+  "deviceCheck.start": "Start interview",
+  "deviceCheck.starting": "Starting...",
+  "deviceCheck.micBlocked":
+    "Access to your microphone was blocked. Allow it in your browser's site settings, then try again.",
+  "deviceCheck.micNotFound":
+    "No microphone was found. Connect one and try again.",
+  "deviceCheck.micBusy": "Your microphone is in use by another application.",
+  "deviceCheck.micFailed": "Could not open your microphone.",
+  "deviceCheck.cameraBlocked":
+    "Access to your camera was blocked. Allow it in your browser's site settings, then try again.",
+  "deviceCheck.cameraNotFound":
+    "No camera was found. Connect one and try again.",
+  "deviceCheck.cameraBusy": "Your camera is in use by another application.",
+  "deviceCheck.cameraFailed": "Could not open your camera.",
+
+  "editor.title": "Code editor",
+  "editor.language": "Language",
+  "editor.placeholder": "Write your code here. {name} can see it.",
+  "editor.shared": "Shared at {time}",
+  "editor.lastShared": "Last shared at {time}",
+  "editor.notShared": "Not shared yet",
+  "editor.share": "Share with {name}",
+};
@@ -0,0 +1,135 @@
+export default {
+  "header.interview": "Entrevista",
+  "header.roleInterview": "Entrevista para {role}",
+  "header.timeRemaining": "Tiempo restante:",
+  "header.endInterview": "Terminar entrevista",
+
+  "progress.question": "Pregunta {current} de {total}",
+  "progress.skipped": "{count} omitidas",
+
+  "interviewer.meet": "Te presentamos a {name}",
+
+  "completed.title": "Entrevista completada",
+  "completed.thanks": "Gracias por tu tiempo. Ya puedes terminar la sesión.",
+  "completed.reason": "Motivo: {reason}",
+  "completed.reason.finished_all_questions": "todas las preguntas respondidas",
+  "completed.reason.time_up": "se acabó el tiempo",
+  "completed.reason.user_requested": "finalizada a petición tuya",
+  "completed.reason.other": "otro",
+  "unavailable.title": "Entrevista no disponible",
+  "invite.missing":
+    "Esta entrevista solo se puede abrir desde un enlace de invitación.",
+  "invite.invalid": "Este enlace de invitación no es válido.",
+  "invite.expired": "Este enlace de invitación ha caducado.",
+  "invite.used": "Este enlace de invitación ya se ha utilizado.",
+  "invite.loadFailed": "No se pudo cargar tu entrevista. Inténtalo de nuevo.",
+
+  "captions.show": "Mostrar subtítulos",
+  "captions.hide": "Ocultar subtítulos",
+  "captions.empty": "Los subtítulos aparecerán aquí.",
+  "captions.candidate": "Tú",
+
+  "status.notStarted": "Inicia la sesión cuando estés listo",
+  "status.connectionLost": "Se perdió la conexión",
+  "status.listening": "Escuchando...",
+  "status.speaking": "{name} está hablando...",
+  "status.waiting": "Esperando tu respuesta...",
+
+  "connection.reconnecting":
+    "Se perdió la conexión. Reconectando con tu entrevista...",
+  "connection.failed": "No pudimos restablecer la conexión.",
+  "connection.retry": "Reintentar",
+  "connection.error":
+    "No se pudo conectar con la entrevista. Inténtalo de nuevo.",
+  "connection.closed":
+    "Esta entrevista ha terminado y ya no se puede reanudar.",
+  "connection.rateLimited":
+    "Demasiados intentos. Espera un momento e inténtalo de nuevo.",
+  "connection.timeout":
+    "El servicio de entrevistas tardó demasiado en responder. Inténtalo de nuevo.",
+  "connection.network":
+    "No se pudo contactar con el servicio de entrevistas. Comprueba tu conexión e inténtalo de nuevo.",
+
+  "video.title": "Tu vídeo",
+  "video.cameraActive": "Cámara activa",
+  "proctoring.active": "Supervisión activa",
+
+  "tips.title": "Consejos",
+  "tips.think": "Tómate tu tiempo para pensar antes de responder",
+  "tips.speak": "Habla con claridad y mantén el contacto visual",
+  "tips.examples": "Usa ejemplos para respaldar tus respuestas",
+
+  "footer.ready": "Listo",
+  "footer.reconnecting": "Reconectando",
+  "footer.recording": "Grabación en curso",
+  "footer.inProgress": "Entrevista en curso",
+  "footer.skip": "Omitir",
+  "footer.stop": "Detener sesión",
+
+  "controls.replay": "Repetir pregunta",
+  "controls.repeatRequest": "¿Podrías repetir la pregunta, por favor?",
+  "controls.holdToTalk": "Mantén pulsado para hablar",
+  "controls.mute": "Silenciar micrófono",
+  "controls.unmute": "Activar micrófono",
+  "controls.releaseToSend": "Suelta para enviar tu respuesta",
+  "controls.holdHint":
+    "Mantén pulsado el micrófono o la barra espaciadora mientras hablas",
+  "controls.mutedHint": "Tu micrófono está silenciado. Haz clic para activarlo",
+  "controls.onHint": "Tu micrófono está activo. Haz clic para silenciarlo",
+  "controls.pushToTalk": "Pulsar para hablar (para entornos ruidosos)",
+
+  "speaker.title": "Altavoz",
+  "speaker.mute": "Silenciar",
+  "speaker.unmute": "Activar sonido",
+  "speaker.volume": "Volumen",
+  "speaker.output": "Dispositivo de salida",
+  "speaker.default": "Predeterminado del sistema",
+  "speaker.device": "Altavoz {number}",
+
+  "textInput.placeholder": "Escribe una respuesta en lugar de hablar...",
+  "textInput.label": "Respuesta escrita",
+  "textInput.send": "Enviar",
+
+  "deviceCheck.intro":
+    "Antes de empezar, comprueba que tu micrófono, cámara y altavoces funcionan. Tu navegador te pedirá permiso.",
+  "deviceCheck.check": "Comprobar mis dispositivos",
+  "deviceCheck.checking": "Comprobando...",
+  "deviceCheck.microphone": "Micrófono",
+  "deviceCheck.camera": "Cámara",
+  "deviceCheck.noneFound": "No se encontró ninguno",
+  "deviceCheck.unnamed": "{label} {number}",
+  "deviceCheck.micWorking": "Tu micrófono funciona.",
+  "deviceCheck.micPrompt": "Di algo para probar tu micrófono.",
+  "deviceCheck.tryAgain": "Reintentar",
+  "deviceCheck.cameraOptional": "Aun así puedes hacer la entrevista sin vídeo.",
+  "deviceCheck.testSound": "Reproducir sonido de prueba",
+  "deviceCheck.consent":
+    "Acepto ser entrevistado por un entrevistador con IA y que mis respuestas y la transcripción de la entrevista se compartan con {company}.",
+  "deviceCheck.hiringTeam": "el equipo de selección",
+  "deviceCheck.recordingConsent":
+    "Grabar también mi cámara y el audio de la entrevista para que el equipo de selección pueda revisarla después. Sin esto, solo se guarda la transcripción.",
+  "deviceCheck.proctoring":
+    "Esta entrevista está supervisada. Mientras dure, esta página anota cuándo cambias de pestaña o de ventana, copias o pegas en un cuadro de texto (la cantidad, no el texto) y si se ve una cara en tu cámara. La comprobación se hace en tu navegador; solo estas notas se comparten con el equipo de selección.",
+  "deviceCheck.start": "Empezar entrevista",
+  "deviceCheck.starting": "Empezando...",
+  "deviceCheck.micBlocked":
+    "Se bloqueó el acceso a tu micrófono. Permítelo en la configuración del sitio de tu navegador y vuelve a intentarlo.",
+  "deviceCheck.micNotFound":
+    "No se encontró ningún micrófono. Conecta uno y vuelve a intentarlo.",
+  "deviceCheck.micBusy": "Otra aplicación está usando tu micrófono.",
+  "deviceCheck.micFailed": "No se pudo abrir tu micrófono.",
+  "deviceCheck.cameraBlocked":
+    "Se bloqueó el acceso a tu cámara. Permítelo en la configuración del sitio de tu navegador y vuelve a intentarlo.",
+  "deviceCheck.cameraNotFound":
+    "No se encontró ninguna cámara. Conecta una y vuelve a intentarlo.",
+  "deviceCheck.cameraBusy": "Otra aplicación está usando tu cámara.",
+  "deviceCheck.cameraFailed": "No se pudo abrir tu cámara.",
+
+  "editor.title": "Editor de código",
+  "editor.language": "Lenguaje",
+  "editor.placeholder": "Escribe tu código aquí. {name} puede verlo.",
+  "editor.shared": "Compartido a las {time}",
+  "editor.lastShared": "Compartido por última vez a las {time}",
+  "editor.notShared": "Aún no compartido",
+  "editor.share": "Compartir con {name}",
+};
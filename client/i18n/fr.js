@@ -0,0 +1,141 @@
+export default {
+  "header.interview": "Entretien",
+  "header.roleInterview": "Entretien {role}",
+  "header.timeRemaining": "Temps restant :",
+  "header.endInterview": "Terminer l'entretien",
+
+  "progress.question": "Question {current} sur {total}",
+  "progress.skipped": "{count} passée(s)",
+
+  "interviewer.meet": "Voici {name}",
+
+  "completed.title": "Entretien terminé",
+  "completed.thanks":
+    "Merci pour votre temps. Vous pouvez maintenant mettre fin à la session.",
+  "completed.reason": "Motif : {reason}",
+  "completed.reason.finished_all_questions":
+    "toutes les questions ont été traitées",
+  "completed.reason.time_up": "temps écoulé",
+  "completed.reason.user_requested": "terminé à votre demande",
+  "completed.reason.other": "autre",
+  "unavailable.title": "Entretien indisponible",
+  "invite.missing":
+    "Cet entretien ne peut être ouvert qu'à partir d'un lien d'invitation.",
+  "invite.invalid": "Ce lien d'invitation n'est pas valide.",
+  "invite.expired": "Ce lien d'invitation a expiré.",
+  "invite.used": "Ce lien d'invitation a déjà été utilisé.",
+  "invite.loadFailed":
+    "Impossible de charger votre entretien. Veuillez réessayer.",
+
+  "captions.show": "Afficher les sous-titres",
+  "captions.hide": "Masquer les sous-titres",
+  "captions.empty": "Les sous-titres s'afficheront ici.",
+  "captions.candidate": "Vous",
+
+  "status.notStarted": "Lancez la session quand vous êtes prêt",
+  "status.connectionLost": "Connexion perdue",
+  "status.listening": "À l'écoute...",
+  "status.speaking": "{name} parle...",
+  "status.waiting": "En attente de votre réponse...",
+
+  "connection.reconnecting":
+    "Connexion perdue. Reconnexion à votre entretien...",
+  "connection.failed": "Nous n'avons pas pu rétablir la connexion.",
+  "connection.retry": "Réessayer",
+  "connection.error":
+    "Impossible de se connecter à l'entretien. Veuillez réessayer.",
+  "connection.closed": "Cet entretien est terminé et ne peut plus être repris.",
+  "connection.rateLimited":
+    "Trop de tentatives. Veuillez patienter un instant et réessayer.",
+  "connection.timeout":
+    "Le service d'entretien a mis trop de temps à répondre. Veuillez réessayer.",
+  "connection.network":
+    "Impossible de joindre le service d'entretien. Vérifiez votre connexion et réessayez.",
+
+  "video.title": "Votre vidéo",
+  "video.cameraActive": "Caméra active",
+  "proctoring.active": "Surveillance active",
+
+  "tips.title": "Conseils",
+  "tips.think": "Prenez le temps de réfléchir avant de répondre",
+  "tips.speak": "Parlez clairement et gardez le contact visuel",
+  "tips.examples": "Appuyez vos réponses sur des exemples",
+
+  "footer.ready": "Prêt",
+  "footer.reconnecting": "Reconnexion",
+  "footer.recording": "Enregistrement en cours",
+  "footer.inProgress": "Entretien en cours",
+  "footer.skip": "Passer",
+  "footer.stop": "Arrêter la session",
+
+  "controls.replay": "Réécouter la question",
+  "controls.repeatRequest":
+    "Pourriez-vous répéter la question, s'il vous plaît ?",
+  "controls.holdToTalk": "Maintenir pour parler",
+  "controls.mute": "Couper le micro",
+  "controls.unmute": "Réactiver le micro",
+  "controls.releaseToSend": "Relâchez pour envoyer votre réponse",
+  "controls.holdHint":
+    "Maintenez le micro ou la barre d'espace enfoncé pendant que vous parlez",
+  "controls.mutedHint":
+    "Votre micro est coupé. Cliquez dessus pour le réactiver",
+  "controls.onHint": "Votre micro est actif. Cliquez dessus pour le couper",
+  "controls.pushToTalk": "Appuyer pour parler (pour les pièces bruyantes)",
+
+  "speaker.title": "Haut-parleur",
+  "speaker.mute": "Couper le son",
+  "speaker.unmute": "Réactiver le son",
+  "speaker.volume": "Volume",
+  "speaker.output": "Périphérique de sortie",
+  "speaker.default": "Par défaut du système",
+  "speaker.device": "Haut-parleur {number}",
+
+  "textInput.placeholder": "Écrivez une réponse au lieu de parler...",
+  "textInput.label": "Réponse écrite",
+  "textInput.send": "Envoyer",
+
+  "deviceCheck.intro":
+    "Avant de commencer, vérifiez que votre micro, votre caméra et vos haut-parleurs fonctionnent. Votre navigateur vous demandera l'autorisation.",
+  "deviceCheck.check": "Vérifier mes appareils",
+  "deviceCheck.checking": "Vérification...",
+  "deviceCheck.microphone": "Micro",
+  "deviceCheck.camera": "Caméra",
+  "deviceCheck.noneFound": "Aucun trouvé",
+  "deviceCheck.unnamed": "{label} {number}",
+  "deviceCheck.micWorking": "Votre micro fonctionne.",
+  "deviceCheck.micPrompt": "Dites quelque chose pour tester votre micro.",
+  "deviceCheck.tryAgain": "Réessayer",
+  "deviceCheck.cameraOptional":
+    "Vous pouvez tout de même passer l'entretien sans vidéo.",
+  "deviceCheck.testSound": "Jouer un son de test",
+  "deviceCheck.consent":
+    "J'accepte d'être interviewé par un recruteur IA, et que mes réponses et la transcription de l'entretien soient partagées avec {company}.",
+  "deviceCheck.hiringTeam": "l'équipe de recrutement",
+  "deviceCheck.recordingConsent":
+    "Enregistrer aussi ma caméra et l'audio de l'entretien pour que l'équipe de recrutement puisse le revoir. Sinon, seule la transcription est conservée.",
+  "deviceCheck.proctoring":
+    "Cet entretien est surveillé. Pendant sa durée, cette page note quand vous changez d'onglet ou de fenêtre, copiez ou collez dans une zone de texte (la quantité, pas le texte) et si un visage est visible sur votre caméra. La vérification se fait dans votre navigateur ; seules ces notes sont transmises à l'équipe de recrutement.",
+  "deviceCheck.start": "Commencer l'entretien",
+  "deviceCheck.starting": "Démarrage...",
+  "deviceCheck.micBlocked":
+    "L'accès à votre micro a été bloqué. Autorisez-le dans les paramètres du site de votre navigateur, puis réessayez.",
+  "deviceCheck.micNotFound":
+    "Aucun micro n'a été trouvé. Branchez-en un et réessayez.",
+  "deviceCheck.micBusy": "Votre micro est utilisé par une autre application.",
+  "deviceCheck.micFailed": "Impossible d'ouvrir votre micro.",
+  "deviceCheck.cameraBlocked":
+    "L'accès à votre caméra a été bloqué. Autorisez-le dans les paramètres du site de votre navigateur, puis réessayez.",
+  "deviceCheck.cameraNotFound":
+    "Aucune caméra n'a été trouvée. Branchez-en une et réessayez.",
+  "deviceCheck.cameraBusy":
+    "Votre caméra est utilisée par une autre application.",
+  "deviceCheck.cameraFailed": "Impossible d'ouvrir votre caméra.",
+
+  "editor.title": "Éditeur de code",
+  "editor.language": "Langage",
+  "editor.placeholder": "Écrivez votre code ici. {name} peut le voir.",
+  "editor.shared": "Partagé à {time}",
+  "editor.lastShared": "Dernier partage à {time}",
+  "editor.notShared": "Pas encore partagé",
+  "editor.share": "Partager avec {name}",
+};
@@ -0,0 +1,30 @@
+import { createContext, useContext } from "react";
+import en from "./en";
+import es from "./es";
+import fr from "./fr";
+import de from "./de";
+
+// UI string catalogs by interview language, matching server/languages.js
+const catalogs = { en, es, fr, de };
+
+export const DEFAULT_LANGUAGE = "en";
+
+// t(key, params) for `language`, falling back to English for missing
+// languages or keys and to the key itself as a last resort
+export function createTranslator(language) {
+  const messages = catalogs[language] || catalogs[DEFAULT_LANGUAGE];
+  return (key, params = {}) => {
+    const message = messages[key] ?? en[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+      name in params ? String(params[name]) : match,
+    );
+  };
+}
+
+const I18nContext = createContext(createTranslator(DEFAULT_LANGUAGE));
+
+export const I18nProvider = I18nContext.Provider;
+
+export function useT() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,26 @@
+// Analyser on an audio stream, read with `level()` as an RMS value in [0, 1]
+export function createLevelAnalyser(audioCtx, stream) {
+  const source = audioCtx.createMediaStreamSource(stream);
+  const analyser = audioCtx.createAnalyser();
+  analyser.fftSize = 2048;
+  analyser.smoothingTimeConstant = 0.8;
+  source.connect(analyser);
+
+  const data = new Uint8Array(analyser.fftSize);
+
+  return {
+    level() {
+      analyser.getByteTimeDomainData(data);
+      let sumSquares = 0;
+      for (let i = 0; i < data.length; i++) {
+        const v = (data[i] - 128) / 128;
+        sumSquares += v * v;
+      }
+      return Math.sqrt(sumSquares / data.length);
+    },
+
+    disconnect() {
+      source.disconnect();
+    },
+  };
+}
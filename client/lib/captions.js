@@ -0,0 +1,42 @@
+// Folds Realtime transcription events into a list of captions
+// ({ id, speaker, text, final }). Returns the same array when nothing changed
+// so React can skip re-rendering.
+
+function upsert(captions, id, speaker, update) {
+  const index = captions.findIndex((c) => c.id === id);
+  if (index === -1) {
+    return [...captions, update({ id, speaker, text: "", final: false })];
+  }
+  const next = [...captions];
+  next[index] = update(captions[index]);
+  return next;
+}
+
+export function applyCaptionEvent(captions, event) {
+  switch (event.type) {
+    case "response.output_audio_transcript.delta":
+      return upsert(captions, event.item_id, "interviewer", (c) => ({
+        ...c,
+        text: c.text + (event.delta || ""),
+      }));
+    case "response.output_audio_transcript.done":
+      return upsert(captions, event.item_id, "interviewer", (c) => ({
+        ...c,
+        text: event.transcript ?? c.text,
+        final: true,
+      }));
+    case "conversation.item.input_audio_transcription.delta":
+      return upsert(captions, event.item_id, "candidate", (c) => ({
+        ...c,
+        text: c.text + (event.delta || ""),
+      }));
+    case "conversation.item.input_audio_transcription.completed":
+      return upsert(captions, event.item_id, "candidate", (c) => ({
+        ...c,
+        text: (event.transcript || "").trim(),
+        final: true,
+      }));
+    default:
+      return captions;
+  }
+}
@@ -0,0 +1,27 @@
+// Reports a client-side failure to the server log. `interviewId` and the
+// `requestId` of a failed server response let it be matched with server
+// entries; ConnectionErrors supply both when they have them.
+export function reportClientError(
+  message,
+  { error, interviewId, context } = {},
+) {
+  const body = {
+    level: "error",
+    message,
+    interviewId: interviewId || error?.interviewId || undefined,
+    requestId: error?.requestId || undefined,
+    context: {
+      ...context,
+      ...(error
+        ? { error: error.message, code: error.code, name: error.name }
+        : {}),
+    },
+  };
+  // Best effort: a failing log call must not cause another error
+  fetch("/client-logs", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    keepalive: true,
+  }).catch(() => {});
+}
@@ -0,0 +1,135 @@
+import { INTERVIEW_SECRET_HEADER } from "./realtime";
+
+const FLUSH_INTERVAL_MS = 2000;
+const RETRY_DELAYS_MS = [2000, 5000, 10000, 30000]; // the last one repeats
+const MAX_BATCH_BYTES = 256 * 1024; // well under the server's 1 MB body limit
+// Browsers refuse keepalive requests whose bodies add up to more than 64 KB
+const MAX_KEEPALIVE_BYTES = 60 * 1024;
+
+const encoder = new TextEncoder();
+
+function byteLength(text) {
+  return encoder.encode(text).length;
+}
+
+// Batches data channel events and forwards them to the interview record on
+// the server, so the transcript survives a refresh or a stopped session.
+// Failed uploads are retried on a timer; batches the server refuses are
+// dropped, and once the interview is closed nothing more is sent.
+export function createEventUploader(interviewId, secret) {
+  let queue = []; // JSON text of each event waiting to be sent
+  let timer = null;
+  let failures = 0;
+  let closed = false;
+  let sending = Promise.resolve();
+
+  function schedule(delay) {
+    if (timer || closed) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, delay);
+  }
+
+  // The oldest queued events that fit in `maxBytes`, and at least one
+  function takeBatch(maxBytes) {
+    let bytes = 0;
+    let count = 0;
+    while (count < queue.length) {
+      const size = byteLength(queue[count]) + 1;
+      if (count > 0 && bytes + size > maxBytes) break;
+      bytes += size;
+      count += 1;
+    }
+    return queue.splice(0, count);
+  }
+
+  // Posts one batch: "sent", "retry" (network trouble or a server error),
+  // "split" (too large, try smaller batches), "dropped" or "closed"
+  async function upload(batch, keepalive) {
+    const body = `{"events":[${batch.join(",")}]}`;
+    let response;
+    try {
+      response = await fetch(`/interviews/${interviewId}/events`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          [INTERVIEW_SECRET_HEADER]: secret,
+        },
+        body,
+        // lets the last upload finish while the page unloads
+        keepalive: keepalive && byteLength(body) <= MAX_KEEPALIVE_BYTES,
+      });
+    } catch (err) {
+      console.warn("Failed to upload interview events", err);
+      return "retry";
+    }
+
+    if (response.ok) return "sent";
+    const { status } = response;
+    if (status >= 500 || status === 408 || status === 429) return "retry";
+    if (status === 413 && batch.length > 1) return "split";
+    console.warn(
+      `Interview events were rejected (${status}); dropping ${batch.length}`,
+    );
+    return status === 410 ? "closed" : "dropped";
+  }
+
+  // Uploads queued events batch by batch until the queue is empty, or an
+  // upload fails and a retry is scheduled
+  async function send(keepalive) {
+    let maxBytes = keepalive ? MAX_KEEPALIVE_BYTES : MAX_BATCH_BYTES;
+    while (queue.length > 0 && !closed) {
+      const batch = takeBatch(maxBytes);
+      const outcome = await upload(batch, keepalive);
+      if (outcome === "split") {
+        queue = [...batch, ...queue];
+        maxBytes = Math.floor(maxBytes / 2);
+      } else if (outcome === "retry") {
+        queue = [...batch, ...queue];
+        failures += 1;
+        schedule(
+          RETRY_DELAYS_MS[Math.min(failures, RETRY_DELAYS_MS.length) - 1],
+        );
+        return;
+      } else if (outcome === "closed") {
+        // The interview is over; the server won't take anything else
+        closed = true;
+        queue = [];
+      } else {
+        failures = 0;
+      }
+    }
+  }
+
+  // Uploads whatever is queued once earlier uploads have finished, so events
+  // arrive in order. `keepalive` is for when the page is going away: those
+  // uploads are sent right away and kept small enough for the browser to
+  // finish them after it unloads.
+  function flush({ keepalive = false } = {}) {
+    if (keepalive) {
+      return send(true);
+    }
+    sending = sending.then(() => send(false));
+    return sending;
+  }
+
+  function push(event) {
+    if (closed) return;
+    queue.push(
+      JSON.stringify({ ...event, recorded_at: new Date().toISOString() }),
+    );
+    schedule(FLUSH_INTERVAL_MS);
+  }
+
+  function stop() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    sending = sending.then(() => send(true));
+    return sending;
+  }
+
+  return { push, flush, stop };
+}
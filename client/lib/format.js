@@ -0,0 +1,21 @@
+// mm:ss for countdowns and transcript offsets
+export function formatTime(totalSeconds) {
+  const minutes = Math.floor(totalSeconds / 60)
+    .toString()
+    .padStart(2, "0");
+  const seconds = (totalSeconds % 60).toString().padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
+export function formatDateTime(iso) {
+  if (!iso) return "";
+  return new Date(iso).toLocaleString();
+}
+
+// Whole seconds between two ISO timestamps, never negative
+export function secondsBetween(startIso, endIso) {
+  return Math.max(
+    0,
+    Math.round((Date.parse(endIso) - Date.parse(startIso)) / 1000),
+  );
+}
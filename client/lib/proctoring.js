@@ -0,0 +1,185 @@
+const FACE_CHECK_INTERVAL_MS = 1000;
+const FACE_CHECKS_TO_CHANGE = 3; // consecutive checks before presence flips
+const SAMPLE_WIDTH = 64;
+const SAMPLE_HEIGHT = 48;
+const MIN_BRIGHTNESS = 25; // darker than this and the camera is covered
+const MIN_SKIN_RATIO = 0.06; // of the centre of the frame
+const MIN_MOTION = 1.5; // mean luma change between frames
+const STILL_LIMIT_MS = 20000; // a frame this still is a picture or an empty room
+
+// Text field a copy or paste happened in, named by its data-proctoring-field
+// attribute when it has one
+function fieldOf(target) {
+  const field =
+    target instanceof Element &&
+    target.closest("textarea, input, [contenteditable='true']");
+  if (!field) return null;
+  return field.dataset.proctoringField || field.tagName.toLowerCase();
+}
+
+function selectionLength(target) {
+  if (typeof target.selectionStart === "number") {
+    return target.selectionEnd - target.selectionStart;
+  }
+  return document.getSelection()?.toString().length || 0;
+}
+
+// Skin-tone rule in YCbCr (Chai & Ngan), which holds across skin colours
+function isSkin(r, g, b) {
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+// Guesses whether someone is in front of the camera from a downscaled frame:
+// the picture isn't dark, skin tones fill part of its centre, and it has
+// moved recently. Rough, but it runs on the device and needs no model.
+function createFrameHeuristic() {
+  const canvas = document.createElement("canvas");
+  canvas.width = SAMPLE_WIDTH;
+  canvas.height = SAMPLE_HEIGHT;
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  let previousLuma = null;
+  let lastMotionAt = Date.now();
+
+  return async (video) => {
+    context.drawImage(video, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+    const { data } = context.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+    const luma = new Float32Array(SAMPLE_WIDTH * SAMPLE_HEIGHT);
+    let brightness = 0;
+    let skin = 0;
+    let centre = 0;
+    let motion = 0;
+
+    for (let i = 0; i < luma.length; i++) {
+      const r = data[i * 4];
+      const g = data[i * 4 + 1];
+      const b = data[i * 4 + 2];
+      luma[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+      brightness += luma[i];
+      if (previousLuma) motion += Math.abs(luma[i] - previousLuma[i]);
+
+      const x = i % SAMPLE_WIDTH;
+      const y = Math.floor(i / SAMPLE_WIDTH);
+      if (
+        x > SAMPLE_WIDTH * 0.2 &&
+        x < SAMPLE_WIDTH * 0.8 &&
+        y < SAMPLE_HEIGHT * 0.85
+      ) {
+        centre += 1;
+        if (isSkin(r, g, b)) skin += 1;
+      }
+    }
+
+    if (previousLuma && motion / luma.length >= MIN_MOTION) {
+      lastMotionAt = Date.now();
+    }
+    previousLuma = luma;
+
+    return (
+      brightness / luma.length >= MIN_BRIGHTNESS &&
+      skin / centre >= MIN_SKIN_RATIO &&
+      Date.now() - lastMotionAt < STILL_LIMIT_MS
+    );
+  };
+}
+
+// The browser's own face detector where it has one (Chromium's Shape
+// Detection API, on-device), otherwise the frame heuristic
+function createFaceCheck() {
+  if (typeof window.FaceDetector === "function") {
+    try {
+      const detector = new window.FaceDetector({ fastMode: true });
+      return {
+        method: "face_detector",
+        check: async (video) => (await detector.detect(video)).length > 0,
+      };
+    } catch {
+      // fall through to the heuristic
+    }
+  }
+  return { method: "frame_heuristic", check: createFrameHeuristic() };
+}
+
+// Watches the page for integrity signals while an interview runs: leaving the
+// tab, the window losing focus, copying or pasting in a text field, and
+// whether a face is visible in `video` (the candidate's camera, or null when
+// they have none). Each is reported as `onSignal(signal, details)`; nothing
+// leaves the browser except through that callback.
+export function createProctor({ video, onSignal }) {
+  const listeners = [];
+  let faceTimer = null;
+
+  function listen(target, type, handler) {
+    target.addEventListener(type, handler, true);
+    listeners.push(() => target.removeEventListener(type, handler, true));
+  }
+
+  listen(document, "visibilitychange", () => {
+    onSignal(document.hidden ? "tab_hidden" : "tab_visible");
+  });
+  // Only count focus lost to another window while the page still shows:
+  // switching tabs blurs the window too, and fields blurring inside the page
+  // reach these capturing listeners as well
+  listen(window, "blur", (e) => {
+    if (e.target === window && !document.hidden) onSignal("focus_lost");
+  });
+  listen(window, "focus", (e) => {
+    if (e.target === window && !document.hidden) onSignal("focus_regained");
+  });
+
+  // Only how much was copied or pasted is kept, never the text
+  function onCopy(e) {
+    const field = fieldOf(e.target);
+    if (field) {
+      onSignal("copy", { field, characters: selectionLength(e.target) });
+    }
+  }
+  listen(document, "copy", onCopy);
+  listen(document, "cut", onCopy);
+  listen(document, "paste", (e) => {
+    const field = fieldOf(e.target);
+    if (field) {
+      onSignal("paste", {
+        field,
+        characters: e.clipboardData?.getData("text").length || 0,
+      });
+    }
+  });
+
+  let faceDetection = "none";
+  if (video) {
+    const { method, check } = createFaceCheck();
+    faceDetection = method;
+    let present = true;
+    let streak = 0;
+    let checking = false;
+
+    faceTimer = setInterval(async () => {
+      if (checking || video.readyState < 2 || !video.videoWidth) return;
+      checking = true;
+      try {
+        const seen = await check(video);
+        streak = seen === present ? 0 : streak + 1;
+        if (streak >= FACE_CHECKS_TO_CHANGE) {
+          present = seen;
+          streak = 0;
+          onSignal(present ? "face_present" : "face_missing");
+        }
+      } catch (err) {
+        console.warn("Face check failed", err);
+      } finally {
+        checking = false;
+      }
+    }, FACE_CHECK_INTERVAL_MS);
+  }
+  onSignal("started", { faceDetection });
+
+  function stop() {
+    clearInterval(faceTimer);
+    listeners.forEach((remove) => remove());
+    listeners.length = 0;
+  }
+
+  return { stop };
+}
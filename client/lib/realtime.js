@@ -0,0 +1,125 @@
+const OPENAI_CALLS_URL = "https://api.openai.com/v1/realtime/calls";
+const REALTIME_MODEL = "gpt-realtime";
+const REQUEST_TIMEOUT_MS = 20000;
+
+// "token": fetch an ephemeral key from /token and post the SDP offer to
+// OpenAI directly. "session": post the offer to /session and let the server
+// talk to OpenAI. Chosen with VITE_REALTIME_FLOW at build time.
+export const REALTIME_FLOW =
+  import.meta.env.VITE_REALTIME_FLOW === "session" ? "session" : "token";
+
+// Header carrying the interview's write secret on uploads to the server
+export const INTERVIEW_SECRET_HEADER = "X-Interview-Secret";
+
+// `code` says what went wrong (the page shows its own message for it, so
+// `message` is only for logs). `requestId` is our server's X-Request-Id for
+// the failed request, and `interviewId` is set if the interview was created
+// before the failure
+export class ConnectionError extends Error {
+  constructor(message, code, { requestId = null, interviewId = null } = {}) {
+    super(message);
+    this.name = "ConnectionError";
+    this.code = code;
+    this.requestId = requestId;
+    this.interviewId = interviewId;
+  }
+}
+
+async function request(url, init) {
+  try {
+    return await fetch(url, {
+      ...init,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (err) {
+    if (err.name === "TimeoutError") {
+      throw new ConnectionError("Request timed out", "timeout");
+    }
+    throw new ConnectionError("Request failed", "network");
+  }
+}
+
+// Reads the `{ error, code }` body our server sends with failures
+async function errorFrom(response, interviewId = null) {
+  const ids = { requestId: response.headers.get("X-Request-Id"), interviewId };
+  try {
+    const data = await response.json();
+    const message =
+      typeof data.error === "string" ? data.error : data.error?.message;
+    return new ConnectionError(
+      message || `Request failed with status ${response.status}`,
+      data.code || `http_${response.status}`,
+      ids,
+    );
+  } catch {
+    return new ConnectionError(
+      `Request failed with status ${response.status}`,
+      `http_${response.status}`,
+      ids,
+    );
+  }
+}
+
+// Query string for /token and /session; `interviewId` resumes that interview
+function keyQuery(inviteToken, interviewId) {
+  const params = new URLSearchParams({ invite: inviteToken });
+  if (interviewId) params.set("interview", interviewId);
+  return params.toString();
+}
+
+async function answerWithToken(inviteToken, offerSdp, interviewId) {
+  const tokenResponse = await request(
+    `/token?${keyQuery(inviteToken, interviewId)}`,
+  );
+  if (!tokenResponse.ok) throw await errorFrom(tokenResponse);
+  const data = await tokenResponse.json();
+
+  const sdpResponse = await request(
+    `${OPENAI_CALLS_URL}?model=${REALTIME_MODEL}`,
+    {
+      method: "POST",
+      body: offerSdp,
+      headers: {
+        Authorization: `Bearer ${data.value}`,
+        "Content-Type": "application/sdp",
+      },
+    },
+  );
+  if (!sdpResponse.ok) throw await errorFrom(sdpResponse, data.interview_id);
+
+  return {
+    sdp: await sdpResponse.text(),
+    interviewId: data.interview_id,
+    secret: data.interview_secret,
+    endsAt: data.interview_ends_at,
+  };
+}
+
+async function answerWithSession(inviteToken, offerSdp, interviewId) {
+  const response = await request(
+    `/session?${keyQuery(inviteToken, interviewId)}`,
+    {
+      method: "POST",
+      body: offerSdp,
+      headers: { "Content-Type": "application/sdp" },
+    },
+  );
+  if (!response.ok) throw await errorFrom(response);
+
+  return {
+    sdp: await response.text(),
+    interviewId: response.headers.get("X-Interview-Id"),
+    secret: response.headers.get(INTERVIEW_SECRET_HEADER),
+    endsAt: response.headers.get("X-Interview-Ends-At"),
+  };
+}
+
+// Exchange an SDP offer for the model's answer using the configured flow.
+// Pass `resumeInterviewId` to reconnect to an interview already under way.
+// Resolves to { sdp, interviewId, secret, endsAt }; rejects with a
+// ConnectionError.
+export function requestAnswer(inviteToken, offerSdp, resumeInterviewId) {
+  return REALTIME_FLOW === "session"
+    ? answerWithSession(inviteToken, offerSdp, resumeInterviewId)
+    : answerWithToken(inviteToken, offerSdp, resumeInterviewId);
+}
@@ -0,0 +1,103 @@
+import { INTERVIEW_SECRET_HEADER } from "./realtime";
+
+const CHUNK_MS = 5000;
+const UPLOAD_ATTEMPTS = 3;
+
+// First format the browser can record; Safari only does mp4
+const MIME_TYPES = [
+  "video/webm;codecs=vp8,opus",
+  "video/webm",
+  "video/mp4",
+  "audio/webm;codecs=opus",
+  "audio/webm",
+  "audio/mp4",
+];
+
+function pickMimeType(hasVideo) {
+  return MIME_TYPES.filter(
+    (type) => hasVideo || type.startsWith("audio/"),
+  ).find((type) => MediaRecorder.isTypeSupported(type));
+}
+
+// Records the candidate's camera together with a mix of their microphone and
+// the interviewer's audio, uploading a chunk to the interview every few
+// seconds. Chunks are sent one at a time and in order; if one can't be
+// delivered the rest are dropped, since the file would be unplayable past it.
+export function createInterviewRecorder(
+  interviewId,
+  { secret, micStream, cameraStream },
+) {
+  const audioContext = new AudioContext();
+  const mix = audioContext.createMediaStreamDestination();
+  audioContext.createMediaStreamSource(micStream).connect(mix);
+  let remoteSource = null;
+
+  const videoTracks = cameraStream?.getVideoTracks() || [];
+  const mimeType = pickMimeType(videoTracks.length > 0);
+  const stream = new MediaStream([
+    ...mix.stream.getAudioTracks(),
+    ...(mimeType?.startsWith("video/") ? videoTracks : []),
+  ]);
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+
+  const startedAt = new Date().toISOString();
+  let seq = 0;
+  let failed = false;
+  let uploads = Promise.resolve();
+
+  async function upload(n, blob) {
+    const params = new URLSearchParams({ seq: String(n), startedAt });
+    for (let attempt = 1; attempt <= UPLOAD_ATTEMPTS; attempt++) {
+      try {
+        const response = await fetch(
+          `/interviews/${interviewId}/recording?${params}`,
+          {
+            method: "POST",
+            headers: {
+              "Content-Type": recorder.mimeType.split(";")[0],
+              [INTERVIEW_SECRET_HEADER]: secret,
+            },
+            body: blob,
+          },
+        );
+        if (response.ok) return;
+        // Refusals (time up, out of order) won't change on retry
+        if (response.status < 500) break;
+      } catch (err) {
+        console.warn("Recording upload failed", err);
+      }
+    }
+    failed = true;
+    console.warn(`Recording chunk ${n} was not saved; recording stopped`);
+  }
+
+  recorder.addEventListener("dataavailable", (e) => {
+    if (failed || e.data.size === 0) return;
+    const n = seq++;
+    uploads = uploads.then(() => (failed ? undefined : upload(n, e.data)));
+  });
+  recorder.start(CHUNK_MS);
+
+  return {
+    // The interviewer's audio arrives after the recorder starts and is
+    // replaced when a dropped connection is restored
+    setRemoteStream(remoteStream) {
+      remoteSource?.disconnect();
+      remoteSource = audioContext.createMediaStreamSource(remoteStream);
+      remoteSource.connect(mix);
+    },
+
+    // Resolves once the final chunk has been uploaded
+    async stop() {
+      if (recorder.state !== "inactive") {
+        const stopped = new Promise((resolve) =>
+          recorder.addEventListener("stop", resolve, { once: true }),
+        );
+        recorder.stop();
+        await stopped;
+      }
+      await uploads;
+      audioContext.close().catch(() => {});
+    },
+  };
+}
@@ -0,0 +1,34 @@
+// Thrown when the review pages need the recruiter to sign in first
+export class SignInRequiredError extends Error {
+  constructor() {
+    super("Sign in to review interviews");
+    this.name = "SignInRequiredError";
+  }
+}
+
+// Call a recruiter-only endpoint (a GET unless `init` says otherwise); the
+// session cookie is sent along
+export async function fetchRecruiterJson(url, init = {}) {
+  const response = await fetch(url, { ...init, credentials: "same-origin" });
+  if (response.status === 401) {
+    throw new SignInRequiredError();
+  }
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error);
+  }
+  return data;
+}
+
+// Trade the recruiter API key for a session cookie
+export async function signInRecruiter(apiKey) {
+  const response = await fetch("/recruiter/session", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ apiKey }),
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || "Sign-in failed");
+  }
+}
@@ -0,0 +1,45 @@
+const STORAGE_KEY = "interview.speaker";
+
+export const DEFAULT_SPEAKER = { volume: 1, muted: false, sinkId: "" };
+
+// Output device selection isn't available in every browser (e.g. Safari)
+export function canSelectOutput() {
+  return (
+    typeof HTMLMediaElement !== "undefined" &&
+    "setSinkId" in HTMLMediaElement.prototype
+  );
+}
+
+export function loadSpeakerSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_SPEAKER, ...saved };
+  } catch {
+    return DEFAULT_SPEAKER;
+  }
+}
+
+export function saveSpeakerSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Private browsing or storage full; the choice just won't persist
+  }
+}
+
+// Apply volume, mute and output device to the interviewer's audio element.
+// Only the element is affected, so analysers on the remote stream keep
+// seeing the audio while it is muted.
+export async function applySpeakerSettings(audio, settings) {
+  audio.volume = settings.volume;
+  audio.muted = settings.muted;
+  if (canSelectOutput() && audio.sinkId !== settings.sinkId) {
+    try {
+      await audio.setSinkId(settings.sinkId);
+    } catch (err) {
+      // The saved device may have been unplugged; fall back to the default
+      console.warn("Could not switch audio output", err);
+      await audio.setSinkId("").catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,9 @@
+import { registerTool } from "./registry";
+
+registerTool({
+  name: "advance_question",
+  async handler({ question_number }, { goToQuestion }) {
+    goToQuestion(Number(question_number) - 1);
+    return { ok: true };
+  },
+});
@@ -0,0 +1,15 @@
+import { registerTool } from "./registry";
+
+registerTool({
+  name: "complete_interview",
+  // The interview is over; the model shouldn't start talking again
+  followUp: false,
+  async handler({ summary, reason }, { isTimeUp, finishInterview }) {
+    // Once time ran out the reason is fixed, whatever the model says
+    finishInterview({
+      summary: summary || "",
+      reason: isTimeUp() ? "time_up" : reason || "",
+    });
+    return { acknowledged: true };
+  },
+});
@@ -0,0 +1,6 @@
+// Importing a tool module registers it; add new tools here
+import "./advanceQuestion";
+import "./completeInterview";
+import "./runCode";
+
+export { createToolRunner, sessionTools } from "./registry";
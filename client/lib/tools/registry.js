@@ -0,0 +1,123 @@
+import { toolDefinitions } from "../../../shared/tools.js";
+
+// Function tools the interviewer can call. The JSON schema the model sees
+// comes from the shared definitions (shared/tools.js), which the server also
+// validates against; each tool registers the async handler that runs in the
+// page when the model calls it. Whatever the handler returns is sent back as
+// the call's output.
+//
+//   registerTool({
+//     name,  // a key of toolDefinitions
+//     handler(args, context) -> output,
+//     followUp: false,  // don't ask for a response after the output
+//   })
+//
+// `context` is supplied by the page (interview id, progress hooks, ...).
+const tools = new Map();
+
+export function registerTool(tool) {
+  if (!toolDefinitions[tool.name]) {
+    throw new Error(`Tool ${tool.name} has no definition in shared/tools.js`);
+  }
+  if (tools.has(tool.name)) {
+    throw new Error(`Tool ${tool.name} is already registered`);
+  }
+  tools.set(tool.name, tool);
+}
+
+// Session config entries for the tools a template enables
+export function sessionTools(names) {
+  return names
+    .filter((name) => {
+      if (tools.has(name)) return true;
+      console.warn(`Template enables unknown tool ${name}`);
+      return false;
+    })
+    .map((name) => toolDefinitions[name]);
+}
+
+// Runs tool calls arriving on one data channel. Argument deltas are buffered
+// per call_id until the call is done; the output is returned as a
+// function_call_output item, and a response is requested once the model's
+// current response has finished so it can act on it.
+export function createToolRunner({ sendClientEvent, getContext }) {
+  const argumentBuffers = new Map();
+  const callNames = new Map();
+  const handled = new Set();
+  let responseActive = false;
+  let followUpPending = false;
+
+  function requestFollowUp() {
+    if (responseActive) {
+      followUpPending = true;
+    } else {
+      sendClientEvent({ type: "response.create" });
+    }
+  }
+
+  async function run(callId, name, rawArguments) {
+    const tool = tools.get(name);
+    let output;
+    try {
+      if (!tool) {
+        throw new Error(`Unknown tool ${name}`);
+      }
+      const args = rawArguments ? JSON.parse(rawArguments) : {};
+      output = (await tool.handler(args, getContext())) ?? { ok: true };
+    } catch (err) {
+      console.warn(`Tool ${name} failed`, err);
+      output = { error: err.message };
+    }
+
+    sendClientEvent({
+      type: "conversation.item.create",
+      item: {
+        type: "function_call_output",
+        call_id: callId,
+        output: JSON.stringify(output),
+      },
+    });
+    if (tool?.followUp !== false) {
+      requestFollowUp();
+    }
+  }
+
+  function handleEvent(event) {
+    switch (event.type) {
+      case "response.created":
+        responseActive = true;
+        break;
+      case "response.done":
+        responseActive = false;
+        if (followUpPending) {
+          followUpPending = false;
+          sendClientEvent({ type: "response.create" });
+        }
+        break;
+      case "response.output_item.added":
+        if (event.item?.type === "function_call") {
+          callNames.set(event.item.call_id, event.item.name);
+        }
+        break;
+      case "response.function_call_arguments.delta":
+        argumentBuffers.set(
+          event.call_id,
+          (argumentBuffers.get(event.call_id) || "") + event.delta,
+        );
+        break;
+      case "response.function_call_arguments.done": {
+        if (handled.has(event.call_id)) break;
+        handled.add(event.call_id);
+        const rawArguments =
+          event.arguments ?? argumentBuffers.get(event.call_id);
+        const name = event.name || callNames.get(event.call_id);
+        argumentBuffers.delete(event.call_id);
+        callNames.delete(event.call_id);
+        run(event.call_id, name, rawArguments);
+        break;
+      }
+    }
+  }
+
+  return { handleEvent };
+}
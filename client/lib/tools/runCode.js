@@ -0,0 +1,3 @@
+import { registerServerTool } from "./serverTool";
+
+registerServerTool("run_code");
@@ -0,0 +1,25 @@
+import { registerTool } from "./registry";
+import { INTERVIEW_SECRET_HEADER } from "../realtime";
+
+// Register a tool that runs on the server: the handler forwards the call to
+// POST /tools/:name, which checks the interview's template allows it
+export function registerServerTool(name) {
+  registerTool({
+    name,
+    async handler(args, { interviewId, interviewSecret }) {
+      const response = await fetch(`/tools/${name}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          [INTERVIEW_SECRET_HEADER]: interviewSecret,
+        },
+        body: JSON.stringify({ interviewId, arguments: args }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        return { error: data.error, details: data.details };
+      }
+      return data.output;
+    },
+  });
+}
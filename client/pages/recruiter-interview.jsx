@@ -0,0 +1,7 @@
+import { useParams } from "react-router-dom";
+import InterviewDetail from "../components/InterviewDetail";
+
+export default function RecruiterInterview() {
+  const { id } = useParams();
+  return <InterviewDetail interviewId={id} />;
+}
@@ -0,0 +1,5 @@
+import InterviewList from "../components/InterviewList";
+
+export default function Recruiter() {
+  return <InterviewList />;
+}
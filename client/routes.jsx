@@ -0,0 +1,17 @@
+import { Route, Routes } from "react-router-dom";
+import Index from "./pages/index";
+import Recruiter from "./pages/recruiter";
+import RecruiterInterview from "./pages/recruiter-interview";
+
+export default function AppRoutes() {
+  return (
+    <Routes>
+      <Route path="/" element={<Index />} />
+      <Route path="/recruiter" element={<Recruiter />} />
+      <Route
+        path="/recruiter/interviews/:id"
+        element={<RecruiterInterview />}
+      />
+    </Routes>
+  );
+}
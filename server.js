@@ -1,126 +1,432 @@
 import express from "express";
 import fs from "fs";
-import { createServer as createViteServer } from "vite";
+import path from "path";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
 import "dotenv/config";
+import {
+  TemplateError,
+  loadTemplate,
+  publicTemplate,
+  sendTemplateError,
+} from "./server/templates.js";
+import {
+  buildSessionConfig,
+  createCall,
+  createClientSecret,
+  sendUpstreamError,
+} from "./server/realtime.js";
+import { createJsonFileStore } from "./server/store.js";
+import { createScorer } from "./server/scoring.js";
+import { isOverTime, newInterview } from "./server/interviews.js";
+import { createDeadlineWatcher } from "./server/deadlines.js";
+import { createInterviewsRouter } from "./server/routes/interviews.js";
+import { createRecordingsRouter } from "./server/routes/recordings.js";
+import { createToolsRouter } from "./server/routes/tools.js";
+import { createPersonasRouter } from "./server/routes/personas.js";
+import { createUsageRouter } from "./server/routes/usage.js";
+import {
+  InviteError,
+  findRedeemableInvite,
+  findResumableInvite,
+  redeemInvite,
+  sendInviteError,
+} from "./server/invites.js";
+import { createInvitesRouter } from "./server/routes/invites.js";
+import { createClientLogsRouter } from "./server/routes/clientLogs.js";
+import { createRecruiterRouter } from "./server/routes/recruiter.js";
+import {
+  INTERVIEW_SECRET_HEADER,
+  createInterviewSecret,
+} from "./server/auth.js";
+import { logger, requestContext } from "./server/logger.js";
+import {
+  createMemoryRateLimitStore,
+  rateLimit,
+  requireAllowedOrigin,
+} from "./server/rateLimit.js";
 
 const app = express();
-app.use(express.text());
+// Needed behind a reverse proxy so per-IP limits see the client's address
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || true);
+}
 const port = process.env.PORT || 3001;
 const apiKey = process.env.OPENAI_API_KEY;
+const recruiterApiKey = process.env.RECRUITER_API_KEY;
+const dataDir = path.resolve(process.env.DATA_DIR || "./data");
+const distDir = path.resolve("./dist");
+// `npm run dev` passes --dev; anything else serves the production build
+const isDev = process.argv.includes("--dev");
 
-// Configure Vite middleware for React client
-const vite = await createViteServer({
-  server: { middlewareMode: true },
-  appType: "custom",
-});
-app.use(vite.middlewares);
-
-const sessionConfig = JSON.stringify({
-  session: {
-    type: "realtime",
-    model: "gpt-realtime",
-    instructions:
-      "You are an AI interviewer for Intellihire. Speak only in English. Do not switch languages unless explicitly asked to translate. Greet the candidate warmly and explain this is a short, interactive real-time interview. Ask one question at a time and keep responses concise, clear, and professional. Encourage follow‑ups and clarifications if the candidate asks. Focus primarily on these three questions, moving to the next only after acknowledging their answer: 1) What interests you about this company? 2) How does DNS poisoning work? 3) How will you handle conflicts at work? If asked to clarify anything, briefly clarify and then continue. Avoid long monologues. When you determine the interview is finished, call the `complete_interview` tool exactly once with a short optional `summary` of the candidate's performance and an optional `reason` (e.g., finished_all_questions, time_up, user_requested).",
-    audio: {
-      output: {
-        voice: "marin",
-      },
-    },
-    tools: [
-      {
-        type: "function",
-        name: "complete_interview",
-        description:
-          "Signal that the interview has concluded. Provide a brief optional summary and/or reason.",
-        parameters: {
-          type: "object",
-          properties: {
-            summary: {
-              type: "string",
-              description:
-                "Short wrap-up message for the candidate or internal summary (1-3 sentences).",
-            },
-            reason: {
-              type: "string",
-              enum: [
-                "finished_all_questions",
-                "time_up",
-                "user_requested",
-                "other",
-              ],
-              description: "Why the interview ended.",
-            },
-          },
-        },
+const interviews = createJsonFileStore(path.join(dataDir, "interviews"));
+const invites = createJsonFileStore(path.join(dataDir, "invites"));
+// Scores interviews from their transcripts once they end
+const scorer = createScorer({ interviews, apiKey });
+// Closes interviews at their deadline even if nobody is left to report in
+const deadlines = createDeadlineWatcher({ interviews, scorer, apiKey });
+
+let inviteSecret = process.env.INVITE_SECRET;
+if (!inviteSecret) {
+  logger.warn(
+    "INVITE_SECRET is not set; invite links and interview secrets will stop working on restart",
+  );
+  inviteSecret = crypto.randomBytes(32).toString("hex");
+}
+
+// In dev, Vite serves the client and renders it from source. In production
+// the output of `npm run build` is used and Vite isn't loaded at all.
+let vite = null;
+let renderPage;
+if (isDev) {
+  const { createServer: createViteServer } = await import("vite");
+  vite = await createViteServer({
+    server: { middlewareMode: true },
+    appType: "custom",
+  });
+  app.use(vite.middlewares);
+
+  renderPage = async (url) => {
+    const template = await vite.transformIndexHtml(
+      url,
+      fs.readFileSync("./client/index.html", "utf-8"),
+    );
+    const { render } = await vite.ssrLoadModule("./client/entry-server.jsx");
+    const appHtml = await render(url);
+    return template.replace(`<!--ssr-outlet-->`, appHtml?.html);
+  };
+} else {
+  const indexFile = path.join(distDir, "client", "index.html");
+  const serverEntry = path.join(distDir, "server", "entry-server.js");
+  if (!fs.existsSync(indexFile) || !fs.existsSync(serverEntry)) {
+    logger.error(
+      "No production build found in dist/; run `npm run build` first, or `npm run dev`",
+    );
+    process.exit(1);
+  }
+  const template = fs.readFileSync(indexFile, "utf-8");
+  const { render } = await import(pathToFileURL(serverEntry).href);
+
+  // Bundled assets have content hashes in their names, so they can be cached
+  // for good; anything else is revalidated after an hour
+  app.use(
+    express.static(path.join(distDir, "client"), {
+      index: false,
+      // Also covers dot-directories like .vite, not just dotfiles
+      dotfiles: "ignore",
+      maxAge: "1h",
+      setHeaders(res, file) {
+        if (file.includes(`${path.sep}assets${path.sep}`)) {
+          res.set("Cache-Control", "public, max-age=31536000, immutable");
+        }
       },
-    ],
-  },
-});
+    }),
+  );
+
+  renderPage = async (url) => {
+    const appHtml = await render(url);
+    return template.replace(`<!--ssr-outlet-->`, appHtml?.html);
+  };
+}
+
+// Request ids and logging for everything but the client's static assets
+app.use(requestContext());
+
+// Check the ?invite= token of a key request and load the template it was
+// issued for. With ?interview= the request reconnects to an interview that
+// invite already started, which is returned as `interview`. Sends the refusal
+// and returns null when the request is not allowed.
+async function resolveInvite(req, res) {
+  try {
+    let invite;
+    let interview = null;
+    if (req.query.interview) {
+      invite = await findResumableInvite(
+        invites,
+        inviteSecret,
+        req.query.invite,
+        req.query.interview,
+      );
+      interview = await interviews.get(invite.interviewId);
+      if (
+        !interview ||
+        interview.status !== "active" ||
+        isOverTime(interview)
+      ) {
+        throw new InviteError(
+          "This interview can no longer be resumed",
+          410,
+          "interview_closed",
+        );
+      }
+    } else {
+      invite = await findRedeemableInvite(
+        invites,
+        inviteSecret,
+        req.query.invite,
+      );
+    }
+    const template = await loadTemplate(invite.templateId);
+    return { invite, template, interview };
+  } catch (err) {
+    if (err instanceof TemplateError) {
+      sendTemplateError(res, err);
+    } else {
+      sendInviteError(res, err);
+    }
+    return null;
+  }
+}
 
-// All-in-one SDP request (experimental)
-app.post("/session", async (req, res) => {
-  const fd = new FormData();
-  console.log(req.body);
-  fd.set("sdp", req.body);
-  fd.set("session", sessionConfig);
-
-  const r = await fetch("https://api.openai.com/v1/realtime/calls", {
-    method: "POST",
-    headers: {
-      "OpenAI-Beta": "realtime=v1",
-      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-    },
-    body: fd,
+// /token and /session spend OpenAI credit, so they only take requests from
+// our own pages (or ALLOWED_ORIGINS) and are rate limited per client IP and
+// per invite. Reconnects count too, so the invite limit leaves room for them.
+const RATE_LIMIT_WINDOW_MS = 10 * 60 * 1000;
+const rateLimitStore = createMemoryRateLimitStore();
+const keyRequestGuards = [
+  requireAllowedOrigin(
+    (process.env.ALLOWED_ORIGINS || "")
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean),
+  ),
+  rateLimit({
+    store: rateLimitStore,
+    name: "ip",
+    limit: Number(process.env.RATE_LIMIT_PER_IP) || 20,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    keyFor: (req) => req.ip,
+  }),
+  rateLimit({
+    store: rateLimitStore,
+    name: "invite",
+    limit: Number(process.env.RATE_LIMIT_PER_INVITE) || 10,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    // The invite id part of the token; it is verified later
+    keyFor: (req) =>
+      typeof req.query.invite === "string"
+        ? req.query.invite.split(".")[0] || null
+        : null,
+  }),
+];
+
+// Browser SDP offers are a few kilobytes
+const MAX_SDP_SIZE = "32kb";
+const parseSdp = express.text({ type: "application/sdp", limit: MAX_SDP_SIZE });
+
+// Body parser for /session that only accepts an SDP offer
+function sdpOffer(req, res, next) {
+  if (!req.is("application/sdp")) {
+    res.status(415).json({
+      error: "The SDP offer must be sent as application/sdp",
+      code: "unsupported_media_type",
+    });
+    return;
+  }
+  parseSdp(req, res, (err) => {
+    if (err?.type === "entity.too.large") {
+      res.status(413).json({
+        error: `The SDP offer must be at most ${MAX_SDP_SIZE}`,
+        code: "sdp_too_large",
+      });
+      return;
+    }
+    next(err);
   });
-  const sdp = await r.text();
-  console.log(sdp);
+}
+
+// Use up the invite and open the interview record bound to its candidate
+async function startInterview(invite, template) {
+  await redeemInvite(invites, invite.id);
+  const interview = await interviews.create(newInterview(template, invite));
+  await invites.update(invite.id, (record) => {
+    record.interviewId = interview.id;
+  });
+  deadlines.watch(interview);
+  return interview;
+}
+
+// Unified flow: the browser's SDP offer is answered through our server, which
+// applies the session config itself
+app.post("/session", keyRequestGuards, sdpOffer, async (req, res) => {
+  if (typeof req.body !== "string" || !req.body.trim()) {
+    res.status(400).json({ error: "Missing SDP offer", code: "missing_sdp" });
+    return;
+  }
+  if (!req.body.startsWith("v=0")) {
+    res
+      .status(400)
+      .json({ error: "The body is not an SDP offer", code: "invalid_sdp" });
+    return;
+  }
+
+  const resolved = await resolveInvite(req, res);
+  if (!resolved) return;
+  const { invite, template, interview: resumed } = resolved;
+
+  let call;
+  try {
+    call = await createCall(
+      apiKey,
+      req.body,
+      buildSessionConfig(template),
+      req.log,
+    );
+  } catch (err) {
+    sendUpstreamError(res, err);
+    return;
+  }
+
+  try {
+    let interview = resumed || (await startInterview(invite, template));
+    if (call.callId) {
+      interview = await interviews.update(interview.id, (record) => {
+        record.realtimeCallId = call.callId;
+      });
+    }
+    res.set("X-Interview-Id", interview.id);
+    res.set(
+      INTERVIEW_SECRET_HEADER,
+      createInterviewSecret(inviteSecret, interview.id),
+    );
+    res.set("X-Interview-Ends-At", interview.endsAt);
+    req.log.info("Realtime call answered", {
+      interviewId: interview.id,
+      resumed: Boolean(resumed),
+    });
+  } catch (err) {
+    sendInviteError(res, err);
+    return;
+  }
 
   // Send back the SDP we received from the OpenAI REST API
-  res.send(sdp);
+  res.type("application/sdp").send(call.sdp);
 });
 
 // API route for ephemeral token generation
-app.get("/token", async (req, res) => {
+app.get("/token", keyRequestGuards, async (req, res) => {
+  const resolved = await resolveInvite(req, res);
+  if (!resolved) return;
+  const { invite, template, interview: resumed } = resolved;
+
+  let data;
   try {
-    const response = await fetch(
-      "https://api.openai.com/v1/realtime/client_secrets",
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-        },
-        body: sessionConfig,
-      },
+    data = await createClientSecret(
+      apiKey,
+      buildSessionConfig(template),
+      req.log,
     );
+  } catch (err) {
+    sendUpstreamError(res, err);
+    return;
+  }
+
+  try {
+    const interview = resumed || (await startInterview(invite, template));
+    req.log.info("Realtime key issued", {
+      interviewId: interview.id,
+      resumed: Boolean(resumed),
+    });
+    res.json({
+      ...data,
+      interview_id: interview.id,
+      interview_secret: createInterviewSecret(inviteSecret, interview.id),
+      interview_ends_at: interview.endsAt,
+    });
+  } catch (err) {
+    sendInviteError(res, err);
+  }
+});
 
-    const data = await response.json();
-    res.json(data);
-  } catch (error) {
-    console.error("Token generation error:", error);
-    res.status(500).json({ error: "Failed to generate token" });
+// Public details of an interview template for the candidate UI
+app.get("/templates/:id", async (req, res) => {
+  try {
+    const template = await loadTemplate(req.params.id);
+    res.json(publicTemplate(template));
+  } catch (err) {
+    sendTemplateError(res, err);
   }
 });
 
+app.use(
+  createInterviewsRouter({
+    interviews,
+    recruiterApiKey,
+    interviewSecretKey: inviteSecret,
+    scorer,
+  }),
+);
+app.use(createToolsRouter({ interviews, interviewSecretKey: inviteSecret }));
+app.use(createPersonasRouter());
+app.use(
+  createRecordingsRouter({
+    interviews,
+    recordingsDir: path.join(dataDir, "recordings"),
+    recruiterApiKey,
+    interviewSecretKey: inviteSecret,
+  }),
+);
+app.use(createUsageRouter({ interviews, recruiterApiKey }));
+app.use(
+  createClientLogsRouter({
+    limiter: rateLimit({
+      store: rateLimitStore,
+      name: "client-logs",
+      limit: 60,
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      keyFor: (req) => req.ip,
+    }),
+  }),
+);
+app.use(
+  createRecruiterRouter({
+    recruiterApiKey,
+    limiter: rateLimit({
+      store: rateLimitStore,
+      name: "recruiter-session",
+      limit: 10,
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      keyFor: (req) => req.ip,
+    }),
+  }),
+);
+app.use(
+  createInvitesRouter({
+    invites,
+    inviteSecret,
+    recruiterApiKey,
+    publicUrl: process.env.PUBLIC_URL,
+  }),
+);
+
 // Render the React client
 app.use("*", async (req, res, next) => {
   const url = req.originalUrl;
 
   try {
-    const template = await vite.transformIndexHtml(
-      url,
-      fs.readFileSync("./client/index.html", "utf-8"),
-    );
-    const { render } = await vite.ssrLoadModule("./client/entry-server.jsx");
-    const appHtml = await render(url);
-    const html = template.replace(`<!--ssr-outlet-->`, appHtml?.html);
-    res.status(200).set({ "Content-Type": "text/html" }).end(html);
+    const html = await renderPage(url);
+    res
+      .status(200)
+      .set({ "Content-Type": "text/html", "Cache-Control": "no-cache" })
+      .end(html);
   } catch (e) {
-    vite.ssrFixStacktrace(e);
+    vite?.ssrFixStacktrace(e);
     next(e);
   }
 });
 
+// Log what reaches Express's default error handler
+app.use((err, req, res, next) => {
+  (req.log || logger).error("Unhandled error", { err });
+  next(err);
+});
+
+deadlines
+  .start()
+  .catch((err) =>
+    logger.error("Failed to schedule interview deadlines", { err }),
+  );
+
 app.listen(port, () => {
-  console.log(`Express server running on *:${port}`);
+  logger.info("Express server running", { port, dev: isDev });
 });
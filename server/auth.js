@@ -0,0 +1,103 @@
+import crypto from "crypto";
+
+export const RECRUITER_COOKIE = "recruiter_session";
+export const RECRUITER_SESSION_SECONDS = 12 * 60 * 60;
+
+function safeEqual(a, b) {
+  const provided = Buffer.from(a);
+  const expected = Buffer.from(b);
+  return (
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected)
+  );
+}
+
+function sessionSignature(apiKey, expiresAt) {
+  return crypto
+    .createHmac("sha256", apiKey)
+    .update(`recruiter-session:${expiresAt}`)
+    .digest("base64url");
+}
+
+// Cookie value that stands in for the API key in the review pages, which
+// can't put a header on <video src>. Signed with the key, so changing the
+// key signs everyone out.
+export function createRecruiterSession(apiKey, now = Date.now()) {
+  const expiresAt = now + RECRUITER_SESSION_SECONDS * 1000;
+  return `${expiresAt}.${sessionSignature(apiKey, expiresAt)}`;
+}
+
+function isValidSession(apiKey, value, now = Date.now()) {
+  const [expiresAt, signature] = (value || "").split(".");
+  return (
+    Number(expiresAt) > now &&
+    safeEqual(signature || "", sessionSignature(apiKey, expiresAt))
+  );
+}
+
+function readCookie(req, name) {
+  for (const part of (req.get("Cookie") || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+// Whether `provided` is the recruiter API key
+export function isRecruiterKey(apiKey, provided) {
+  return Boolean(apiKey) && safeEqual(provided, apiKey);
+}
+
+// Guards recruiter-only routes with `Authorization: Bearer <RECRUITER_API_KEY>`
+// or a session cookie from POST /recruiter/session
+export function requireRecruiter(apiKey) {
+  return (req, res, next) => {
+    if (!apiKey) {
+      res.status(503).json({ error: "Recruiter API key is not configured" });
+      return;
+    }
+
+    const header = req.get("Authorization") || "";
+    if (
+      !isRecruiterKey(apiKey, header.replace(/^Bearer\s+/i, "")) &&
+      !isValidSession(apiKey, readCookie(req, RECRUITER_COOKIE))
+    ) {
+      res.status(401).json({ error: "Invalid recruiter API key" });
+      return;
+    }
+    next();
+  };
+}
+
+export const INTERVIEW_SECRET_HEADER = "X-Interview-Secret";
+
+// Write secret for one interview, handed to the candidate's page with its
+// Realtime key. It's derived from `key` rather than stored, so it is the same
+// for every reconnect.
+export function createInterviewSecret(key, interviewId) {
+  return crypto
+    .createHmac("sha256", key)
+    .update(`interview:${interviewId}`)
+    .digest("base64url");
+}
+
+// Guards the candidate's writes to an interview with the X-Interview-Secret
+// header. `idFor(req)` picks the interview id (the :id route parameter by
+// default).
+export function requireInterviewSecret(key, idFor = (req) => req.params.id) {
+  return (req, res, next) => {
+    const interviewId = idFor(req);
+    const provided = req.get(INTERVIEW_SECRET_HEADER) || "";
+    if (
+      typeof interviewId !== "string" ||
+      !safeEqual(provided, createInterviewSecret(key, interviewId))
+    ) {
+      res.status(403).json({
+        error: "Invalid interview secret",
+        code: "invalid_interview_secret",
+      });
+      return;
+    }
+    next();
+  };
+}
@@ -0,0 +1,67 @@
+import { LATE_EVENT_GRACE_SECONDS, expireIfOverdue } from "./interviews.js";
+import { hangUpCall } from "./realtime.js";
+import { logger } from "./logger.js";
+
+// setTimeout can't wait longer than this
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Closes interviews as `time_up` once their deadline and grace period pass,
+// whether or not the candidate's page is still there to report in. Calls
+// answered through /session are hung up at the same time; sessions the
+// browser opened with a client key can't be ended from here.
+export function createDeadlineWatcher({ interviews, scorer, apiKey }) {
+  const timers = new Map();
+
+  async function expire(id) {
+    timers.delete(id);
+    let expired = false;
+    const interview = await interviews.update(id, (record) => {
+      expired = expireIfOverdue(record);
+    });
+    if (!interview) return;
+    if (interview.status === "active") {
+      // Not due yet (the timer was capped); wait some more
+      watch(interview);
+      return;
+    }
+    if (!expired) return;
+    logger.info("Interview closed at its deadline", { interviewId: id });
+    scorer.scoreCompleted(interview, logger);
+    if (interview.realtimeCallId && apiKey) {
+      try {
+        await hangUpCall(apiKey, interview.realtimeCallId, logger);
+      } catch {
+        // Usually the call already ended; callOpenAI logged the details
+      }
+    }
+  }
+
+  // Schedule the deadline of an active interview, replacing any earlier one
+  function watch(interview) {
+    if (interview.status !== "active") return;
+    clearTimeout(timers.get(interview.id));
+    const closesAt =
+      Date.parse(interview.endsAt) + LATE_EVENT_GRACE_SECONDS * 1000;
+    const timer = setTimeout(
+      () =>
+        expire(interview.id).catch((err) =>
+          logger.error("Failed to close an overdue interview", {
+            interviewId: interview.id,
+            err,
+          }),
+        ),
+      Math.min(Math.max(0, closesAt - Date.now()), MAX_TIMER_MS),
+    );
+    // Pending deadlines shouldn't keep the process alive
+    timer.unref();
+    timers.set(interview.id, timer);
+  }
+
+  // Pick up the interviews that were open when the server last stopped
+  async function start() {
+    const records = await interviews.list();
+    for (const record of records) watch(record);
+  }
+
+  return { watch, start };
+}
@@ -0,0 +1,125 @@
+import { applyTranscriptEvent } from "./transcript.js";
+import { applyUsageEvent } from "./usage.js";
+import { applyProctoringEvent, summarizeProctoring } from "./proctoring.js";
+
+// Time after the limit during which the forced wrap-up may still report in
+export const LATE_EVENT_GRACE_SECONDS = 30;
+
+// Fresh interview record for the candidate of `invite`, using `template`
+export function newInterview(template, invite) {
+  const now = Date.now();
+  return {
+    inviteId: invite.id,
+    candidate: invite.candidate,
+    templateId: template.id,
+    roleTitle: template.roleTitle,
+    companyName: template.companyName,
+    // Snapshot so later template edits don't change how this one is scored
+    questions: template.questions,
+    status: "active",
+    createdAt: new Date(now).toISOString(),
+    timeLimitSeconds: template.timeLimitSeconds,
+    endsAt: new Date(now + template.timeLimitSeconds * 1000).toISOString(),
+    completedAt: null,
+    elapsedSeconds: null,
+    completion: null,
+    // Latest Realtime call answered through /session, hung up at the deadline
+    realtimeCallId: null,
+    // Rubric scores worked out on the server once the interview ends
+    scores: null,
+    scoringError: null,
+    // Set by the first uploaded chunk when the candidate agreed to recording
+    recording: null,
+    transcript: [],
+    // Token counts per model response and transcription, for GET /usage
+    usage: [],
+    // Tab, focus, copy/paste and face signals when the template proctors
+    proctoring: [],
+    events: [],
+  };
+}
+
+// List view of an interview without the bulky event log and transcript
+export function summarizeInterview(interview) {
+  const { events, transcript, questions, usage, proctoring, ...summary } =
+    interview;
+  return {
+    ...summary,
+    durationSeconds: interview.elapsedSeconds ?? null,
+    turnCount: transcript.length,
+    averageScore: interview.scores?.average ?? null,
+    proctoringSummary: summarizeProctoring(interview),
+  };
+}
+
+// The client's own timestamp for an event when it is a valid date, as an ISO
+// string, or `fallback`
+function recordedAt(event, fallback) {
+  const time = Date.parse(event.recorded_at);
+  return Number.isNaN(time) ? fallback : new Date(time).toISOString();
+}
+
+// Record data channel events and fold them into the transcript, token usage
+// and proctoring signals. Streaming deltas only feed the transcript; the raw
+// log keeps every other event. An event whose fields aren't shaped the way
+// its type says is skipped rather than failing the batch; returns how many
+// were.
+export function appendEvents(interview, events) {
+  const receivedAt = new Date().toISOString();
+  interview.usage ||= [];
+  interview.proctoring ||= [];
+  let skipped = 0;
+  for (const event of events) {
+    const at = recordedAt(event, receivedAt);
+    try {
+      applyTranscriptEvent(interview.transcript, event, at);
+      applyUsageEvent(interview.usage, event, at);
+      applyProctoringEvent(interview.proctoring, event, at);
+    } catch {
+      skipped += 1;
+      continue;
+    }
+    if (!event.type.endsWith(".delta")) {
+      interview.events.push(event);
+    }
+  }
+  return skipped;
+}
+
+// Whether the time limit itself has run out; no new sessions start after this
+export function isOverTime(interview, now = Date.now()) {
+  return now >= Date.parse(interview.endsAt);
+}
+
+// Whether the time limit plus the grace period has run out
+export function isPastDeadline(interview, now = Date.now()) {
+  return now > Date.parse(interview.endsAt) + LATE_EVENT_GRACE_SECONDS * 1000;
+}
+
+export function completeInterview(
+  interview,
+  { summary, reason },
+  now = Date.now(),
+) {
+  interview.status = "completed";
+  interview.completedAt = new Date(now).toISOString();
+  interview.elapsedSeconds = Math.round(
+    (now - Date.parse(interview.createdAt)) / 1000,
+  );
+  interview.completion = { summary: summary || "", reason: reason || "" };
+}
+
+// Close an interview whose time ran out without the client reporting in (the
+// candidate closed the tab, say) as ended at its deadline. Returns whether
+// it was still open.
+export function expireIfOverdue(interview, now = Date.now()) {
+  if (interview.status !== "active" || !isPastDeadline(interview, now)) {
+    return false;
+  }
+  completeInterview(
+    interview,
+    { reason: "time_up" },
+    Date.parse(interview.endsAt),
+  );
+  return true;
+}
@@ -0,0 +1,126 @@
+import crypto from "crypto";
+import { logFor } from "./logger.js";
+
+// Invite links carry `<inviteId>.<expiry>.<signature>`. The signature is an
+// HMAC over the id and expiry, so a token can be checked before the invite
+// record is read, and the record decides whether it has been used.
+
+// `code` lets the candidate page show its own (translated) message
+export class InviteError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = "InviteError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function sign(secret, payload) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(payload)
+    .digest("base64url");
+}
+
+export function createInviteToken(secret, invite) {
+  const expiry = Math.floor(Date.parse(invite.expiresAt) / 1000);
+  const payload = `${invite.id}.${expiry}`;
+  return `${payload}.${sign(secret, payload)}`;
+}
+
+// Returns the invite id of a well-formed, correctly signed, unexpired token.
+// `allowExpired` skips the expiry check for interviews already under way.
+export function verifyInviteToken(
+  secret,
+  token,
+  { allowExpired = false } = {},
+) {
+  if (!token) {
+    throw new InviteError("An invite token is required", 401, "invite_missing");
+  }
+
+  const parts = String(token).split(".");
+  if (parts.length !== 3) {
+    throw new InviteError("Malformed invite token", 401, "invite_invalid");
+  }
+  const [inviteId, expiry, signature] = parts;
+  const expected = Buffer.from(sign(secret, `${inviteId}.${expiry}`));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw new InviteError("Invalid invite token", 401, "invite_invalid");
+  }
+  if (!allowExpired && Number(expiry) * 1000 <= Date.now()) {
+    throw new InviteError("This invite has expired", 410, "invite_expired");
+  }
+  return inviteId;
+}
+
+// Load the invite behind a token and make sure it can still be redeemed
+export async function findRedeemableInvite(invites, secret, token) {
+  const inviteId = verifyInviteToken(secret, token);
+  const invite = await invites.get(inviteId);
+  if (!invite) {
+    throw new InviteError("Invite not found", 404, "invite_invalid");
+  }
+  if (invite.usedAt) {
+    throw new InviteError(
+      "This invite has already been used",
+      410,
+      "invite_used",
+    );
+  }
+  return invite;
+}
+
+// Load the used invite behind a token when it started `interviewId`, so a
+// dropped connection can be re-established for that same interview
+export async function findResumableInvite(invites, secret, token, interviewId) {
+  const inviteId = verifyInviteToken(secret, token, { allowExpired: true });
+  const invite = await invites.get(inviteId);
+  if (!invite) {
+    throw new InviteError("Invite not found", 404, "invite_invalid");
+  }
+  if (!invite.interviewId || invite.interviewId !== interviewId) {
+    throw new InviteError(
+      "This invite did not start that interview",
+      403,
+      "invite_invalid",
+    );
+  }
+  return invite;
+}
+
+// Mark an invite used; fails if another request got there first
+export async function redeemInvite(invites, inviteId) {
+  let alreadyUsed = false;
+  const invite = await invites.update(inviteId, (record) => {
+    if (record.usedAt) {
+      alreadyUsed = true;
+      return;
+    }
+    record.usedAt = new Date().toISOString();
+  });
+  if (!invite) {
+    throw new InviteError("Invite not found", 404, "invite_invalid");
+  }
+  if (alreadyUsed) {
+    throw new InviteError(
+      "This invite has already been used",
+      410,
+      "invite_used",
+    );
+  }
+  return invite;
+}
+
+export function sendInviteError(res, err) {
+  if (err instanceof InviteError) {
+    res.status(err.status).json({ error: err.message, code: err.code });
+    return;
+  }
+  logFor(res.req).error("Invite error", { err });
+  res.status(500).json({ error: "Failed to check invite" });
+}
@@ -0,0 +1,20 @@
+import fs from "fs/promises";
+import path from "path";
+
+const knowledgeDir = path.resolve(process.env.KNOWLEDGE_DIR || "./knowledge");
+
+// Reference answers for a template live in `<knowledgeDir>/<templateId>.json`,
+// keyed by question id: { "<questionId>": { answer, keyPoints } }. They are
+// only given to the scoring model, never to the candidate's browser.
+export async function loadReferenceAnswers(templateId) {
+  try {
+    const raw = await fs.readFile(
+      path.join(knowledgeDir, `${templateId}.json`),
+      "utf-8",
+    );
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+}
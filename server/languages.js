@@ -0,0 +1,14 @@
+// Interview languages, keyed by ISO 639-1 code (what the transcription model
+// takes as its language hint). The client has a UI catalog for each.
+export const languages = {
+  en: "English",
+  es: "Spanish",
+  fr: "French",
+  de: "German",
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+export function languageName(code) {
+  return languages[code] || languages[DEFAULT_LANGUAGE];
+}
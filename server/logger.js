@@ -0,0 +1,101 @@
+import crypto from "crypto";
+
+// Structured logging: one JSON object per line on stdout, e.g.
+//   {"time":"...","level":"info","msg":"Request","requestId":"...","status":200}
+// LOG_LEVEL (debug | info | warn | error, default info) sets the threshold.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+// Field names whose values never reach the logs
+const SECRET_KEYS =
+  /authorization|api[-_]?key|secret|token|password|cookie|^sdp$|^value$/i;
+
+function isSdp(value) {
+  return typeof value === "string" && value.startsWith("v=0");
+}
+
+// Copy of `value` with secrets and SDP bodies replaced and errors flattened
+export function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.status ? { status: value.status } : {}),
+      stack: value.stack,
+    };
+  }
+  if (isSdp(value)) return `[sdp: ${value.length} chars]`;
+  if (value === null || typeof value !== "object") return value;
+  if (depth > 5) return "[nested]";
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [
+      key,
+      SECRET_KEYS.test(key) && v ? "[redacted]" : redact(v, depth + 1),
+    ]),
+  );
+}
+
+// Logger whose entries all carry `context`; child() adds more of it
+export function createLogger(context = {}) {
+  function write(level, msg, fields = {}) {
+    if (LEVELS[level] < threshold) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...redact({ ...context, ...fields }),
+    };
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    child: (fields) => createLogger({ ...context, ...fields }),
+  };
+}
+
+export const logger = createLogger();
+
+// The request's logger, for helpers that only get `res`
+export function logFor(req) {
+  return req?.log || logger;
+}
+
+const REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Gives each request an id, taken from an upstream proxy's X-Request-Id when
+// there is a usable one, returns it in the X-Request-Id header, and logs the
+// request when it finishes. `req.log` carries the id into route logs.
+export function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    const requestId = REQUEST_ID_PATTERN.test(incoming || "")
+      ? incoming
+      : crypto.randomUUID();
+    req.id = requestId;
+    req.log = logger.child({ requestId });
+    res.set("X-Request-Id", requestId);
+
+    const startedAt = process.hrtime.bigint();
+    res.on("finish", () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      // Matched routes log their pattern (/invites/:token), not the URL, and
+      // the query string is left out: both can carry invite tokens
+      req.log[res.statusCode >= 500 ? "error" : "info"]("Request", {
+        method: req.method,
+        path: req.route
+          ? `${req.baseUrl}${req.route.path}`
+          : req.originalUrl.split("?")[0],
+        status: res.statusCode,
+        durationMs: Math.round(durationMs),
+      });
+    });
+    next();
+  };
+}
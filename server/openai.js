@@ -0,0 +1,69 @@
+// Shared client for the OpenAI REST API
+
+const OPENAI_API_URL = "https://api.openai.com/v1";
+const UPSTREAM_TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS) || 15000;
+
+export class UpstreamError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// fetch() against the OpenAI API, turning timeouts, network failures and
+// non-2xx answers into UpstreamErrors. Every call is logged to `log` with
+// its duration and OpenAI's request id. `timeoutMs` overrides
+// UPSTREAM_TIMEOUT_MS for slow calls.
+export async function callOpenAI(
+  path,
+  init,
+  log,
+  { timeoutMs = UPSTREAM_TIMEOUT_MS } = {},
+) {
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await fetch(`${OPENAI_API_URL}${path}`, {
+      ...init,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    log.warn("OpenAI request failed", {
+      path,
+      durationMs: Date.now() - startedAt,
+      err,
+    });
+    if (err.name === "TimeoutError") {
+      throw new UpstreamError(
+        "OpenAI did not respond in time",
+        504,
+        "upstream_timeout",
+      );
+    }
+    throw new UpstreamError(
+      "Could not reach OpenAI",
+      502,
+      "upstream_unreachable",
+    );
+  }
+
+  const timing = {
+    path,
+    status: response.status,
+    durationMs: Date.now() - startedAt,
+    openaiRequestId: response.headers.get("x-request-id"),
+  };
+  if (!response.ok) {
+    const body = await response.text();
+    let message = `OpenAI returned ${response.status}`;
+    try {
+      message = JSON.parse(body).error?.message || message;
+    } catch {}
+    log.warn("OpenAI request failed", { ...timing, upstreamError: message });
+    throw new UpstreamError(message, 502, "upstream_error");
+  }
+  log.info("OpenAI request", timing);
+  return response;
+}
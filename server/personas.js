@@ -0,0 +1,119 @@
+import fs from "fs/promises";
+import path from "path";
+import { validate } from "./schema.js";
+import { logFor } from "./logger.js";
+
+export const personasDir = path.resolve(
+  process.env.PERSONAS_DIR || "./personas",
+);
+export const PERSONA_ID_PATTERN = "^[A-Za-z0-9][A-Za-z0-9_-]*$";
+
+// Avatar clips the candidate UI switches between, plus an optional still
+// image shown when a clip is missing
+export const AVATAR_ASSETS = ["entry", "idle", "talking", "image"];
+
+export const personaSchema = {
+  type: "object",
+  required: ["name", "subtitle", "voice", "personality"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1 },
+    subtitle: { type: "string", minLength: 1 },
+    voice: { type: "string", minLength: 1 },
+    // How the interviewer comes across, added to the session instructions
+    personality: { type: "string", minLength: 1 },
+    // File names in `<personasDir>/<id>/`
+    avatar: {
+      type: "object",
+      additionalProperties: false,
+      properties: Object.fromEntries(
+        AVATAR_ASSETS.map((asset) => [
+          asset,
+          { type: "string", pattern: "^[\\w.-]+$" },
+        ]),
+      ),
+    },
+  },
+};
+
+export class PersonaError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = "PersonaError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+async function fileExists(file) {
+  try {
+    return (await fs.stat(file)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Read and validate `<personasDir>/<id>.json`. Avatar assets whose files
+// aren't there are dropped so the client falls back to what it has.
+export async function loadPersona(id) {
+  if (!new RegExp(PERSONA_ID_PATTERN).test(id || "")) {
+    throw new PersonaError(`Invalid persona id: ${id}`, 400);
+  }
+
+  let raw;
+  try {
+    raw = await fs.readFile(path.join(personasDir, `${id}.json`), "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw new PersonaError(`Unknown persona: ${id}`, 404);
+    }
+    throw err;
+  }
+
+  let persona;
+  try {
+    persona = JSON.parse(raw);
+  } catch (err) {
+    throw new PersonaError(`Persona ${id} is not valid JSON`, 500, [
+      err.message,
+    ]);
+  }
+
+  const errors = validate(personaSchema, persona);
+  if (errors.length > 0) {
+    throw new PersonaError(`Persona ${id} is invalid`, 500, errors);
+  }
+
+  const avatar = {};
+  for (const [asset, file] of Object.entries(persona.avatar || {})) {
+    if (await fileExists(path.join(personasDir, id, file))) {
+      avatar[asset] = file;
+    }
+  }
+  return { id, ...persona, avatar };
+}
+
+// Fields the candidate UI needs, with avatar assets as URLs
+export function publicPersona(persona) {
+  return {
+    id: persona.id,
+    name: persona.name,
+    subtitle: persona.subtitle,
+    avatar: Object.fromEntries(
+      Object.keys(persona.avatar).map((asset) => [
+        asset,
+        `/personas/${persona.id}/avatar/${asset}`,
+      ]),
+    ),
+  };
+}
+
+// Express error responder for routes that load personas
+export function sendPersonaError(res, err) {
+  if (err instanceof PersonaError) {
+    res.status(err.status).json({ error: err.message, details: err.details });
+    return;
+  }
+  logFor(res.req).error("Persona loading error", { err });
+  res.status(500).json({ error: "Failed to load persona" });
+}
@@ -0,0 +1,102 @@
+// Integrity signals the candidate client reports as `interview.proctoring`
+// events when a template turns proctoring on, and the flags reviewers see.
+
+export const PROCTORING_SIGNALS = [
+  "started",
+  "tab_hidden",
+  "tab_visible",
+  "focus_lost",
+  "focus_regained",
+  "copy",
+  "paste",
+  "face_missing",
+  "face_present",
+];
+
+// Fold one event into the interview's signal list (mutates `proctoring`).
+// Only the fields each signal needs are kept, and uploads seen twice once.
+export function applyProctoringEvent(proctoring, event, at) {
+  if (
+    event.type !== "interview.proctoring" ||
+    !PROCTORING_SIGNALS.includes(event.signal) ||
+    proctoring.some((s) => s.id === event.event_id)
+  ) {
+    return;
+  }
+
+  const signal = { id: event.event_id, signal: event.signal, at };
+  if (event.signal === "started") {
+    signal.faceDetection = String(event.faceDetection || "none");
+  }
+  if (event.signal === "copy" || event.signal === "paste") {
+    signal.field = String(event.field || "unknown");
+    signal.characters = Number(event.characters) || 0;
+  }
+  proctoring.push(signal);
+}
+
+// Counts and total seconds of a state entered by `start` and left by `end`.
+// A state still open when the interview ended runs until then.
+function periods(signals, start, end, endAt) {
+  let count = 0;
+  let seconds = 0;
+  let since = null;
+  for (const { signal, at } of signals) {
+    if (signal === start && since === null) {
+      count += 1;
+      since = at;
+    } else if (signal === end && since !== null) {
+      seconds += (Date.parse(at) - Date.parse(since)) / 1000;
+      since = null;
+    }
+  }
+  if (since !== null) {
+    seconds += Math.max(0, (Date.parse(endAt) - Date.parse(since)) / 1000);
+  }
+  return { count, seconds: Math.round(seconds) };
+}
+
+function transfers(signals, kind) {
+  const matching = signals.filter((s) => s.signal === kind);
+  return {
+    count: matching.length,
+    characters: matching.reduce((sum, s) => sum + s.characters, 0),
+  };
+}
+
+// Review summary: whether proctoring ran, how faces were detected, and a
+// flag for each kind of signal that occurred at least once
+export function summarizeProctoring(interview) {
+  const signals = [...(interview.proctoring || [])].sort((a, b) =>
+    a.at.localeCompare(b.at),
+  );
+  const started = signals.find((s) => s.signal === "started");
+  if (!started) {
+    return { active: false, faceDetection: null, flags: [] };
+  }
+
+  const endAt =
+    interview.completedAt ||
+    new Date(Math.min(Date.now(), Date.parse(interview.endsAt))).toISOString();
+  const flags = [
+    {
+      type: "tab_hidden",
+      ...periods(signals, "tab_hidden", "tab_visible", endAt),
+    },
+    {
+      type: "focus_lost",
+      ...periods(signals, "focus_lost", "focus_regained", endAt),
+    },
+    {
+      type: "face_missing",
+      ...periods(signals, "face_missing", "face_present", endAt),
+    },
+    { type: "paste", ...transfers(signals, "paste") },
+    { type: "copy", ...transfers(signals, "copy") },
+  ];
+  return {
+    active: true,
+    faceDetection: started.faceDetection,
+    flags: flags.filter((flag) => flag.count > 0),
+  };
+}
@@ -0,0 +1,96 @@
+import { logFor } from "./logger.js";
+
+// Rate limit stores implement this interface so the in-memory store can be
+// swapped for a shared one (e.g. Redis) when running several servers:
+//   hit(key, windowMs) -> { count, resetAt } for the window `key` is in,
+//                         after counting this hit
+// Windows are fixed: the first hit on a key starts one that lasts windowMs.
+export function createMemoryRateLimitStore() {
+  const windows = new Map();
+
+  // Drop finished windows now and then so idle keys don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+}
+
+// Express middleware allowing `limit` requests per `windowMs` for each key
+// `keyFor(req)` returns; requests it returns null for aren't counted.
+// Rejections are 429s with a Retry-After header.
+export function rateLimit({ store, name, limit, windowMs, keyFor }) {
+  return async (req, res, next) => {
+    const key = keyFor(req);
+    if (!key) {
+      next();
+      return;
+    }
+
+    let result;
+    try {
+      result = await store.hit(`${name}:${key}`, windowMs);
+    } catch (err) {
+      // A broken store shouldn't take the interview down with it
+      logFor(req).error("Rate limit store error", { err });
+      next();
+      return;
+    }
+    if (result.count <= limit) {
+      next();
+      return;
+    }
+
+    const retryAfter = Math.max(
+      1,
+      Math.ceil((result.resetAt - Date.now()) / 1000),
+    );
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({
+      error: "Too many requests; please wait a moment and try again",
+      code: "rate_limited",
+      retryAfter,
+    });
+  };
+}
+
+// Rejects browser requests from pages on other origins. Requests without an
+// Origin header (same-origin GETs, non-browser clients) are left to the rate
+// limits. With no `allowedOrigins`, only pages on the server's own host are
+// allowed.
+export function requireAllowedOrigin(allowedOrigins = []) {
+  return (req, res, next) => {
+    const origin = req.get("Origin");
+    if (!origin) {
+      next();
+      return;
+    }
+    const allowed =
+      allowedOrigins.length > 0
+        ? allowedOrigins.includes(origin)
+        : URL.canParse(origin) && new URL(origin).host === req.get("Host");
+    if (allowed) {
+      next();
+      return;
+    }
+    res.status(403).json({
+      error: `Requests from ${origin} are not allowed`,
+      code: "origin_not_allowed",
+    });
+  };
+}
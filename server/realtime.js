@@ -0,0 +1,102 @@
+import { buildInstructions } from "./prompts.js";
+import { logFor, logger } from "./logger.js";
+import { UpstreamError, callOpenAI } from "./openai.js";
+
+export const REALTIME_MODEL = "gpt-realtime";
+export const TRANSCRIPTION_MODEL = "gpt-4o-mini-transcribe";
+
+// Realtime session config for a loaded interview template. Function tools
+// are added by the client, which runs them, from its tool registry.
+export function buildSessionConfig(template) {
+  return {
+    session: {
+      type: "realtime",
+      model: REALTIME_MODEL,
+      instructions: buildInstructions(template),
+      audio: {
+        // Candidate speech is transcribed so it can be stored with the interview
+        input: {
+          transcription: {
+            model: TRANSCRIPTION_MODEL,
+            language: template.language,
+          },
+        },
+        output: {
+          voice: template.voice,
+        },
+      },
+    },
+  };
+}
+
+// Ephemeral client key for the browser to connect with directly
+export async function createClientSecret(apiKey, sessionConfig, log = logger) {
+  const response = await callOpenAI(
+    "/realtime/client_secrets",
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(sessionConfig),
+    },
+    log,
+  );
+  return response.json();
+}
+
+// Answer SDP for a browser offer, with the session configured server-side.
+// Resolves to `{ sdp, callId }`; the call id lets the server hang up later.
+export async function createCall(
+  apiKey,
+  offerSdp,
+  sessionConfig,
+  log = logger,
+) {
+  const fd = new FormData();
+  fd.set("sdp", offerSdp);
+  fd.set("session", JSON.stringify(sessionConfig));
+
+  const response = await callOpenAI(
+    "/realtime/calls",
+    {
+      method: "POST",
+      headers: {
+        "OpenAI-Beta": "realtime=v1",
+        Authorization: `Bearer ${apiKey}`,
+      },
+      body: fd,
+    },
+    log,
+  );
+  // Location is /v1/realtime/calls/{call_id}
+  const location = response.headers.get("location") || "";
+  return {
+    sdp: await response.text(),
+    callId: location.split("/").pop() || null,
+  };
+}
+
+// End a call made through createCall, e.g. when its interview runs out of time
+export async function hangUpCall(apiKey, callId, log = logger) {
+  await callOpenAI(
+    `/realtime/calls/${encodeURIComponent(callId)}/hangup`,
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${apiKey}` },
+    },
+    log,
+  );
+}
+
+export function sendUpstreamError(res, err) {
+  if (err instanceof UpstreamError) {
+    res.status(err.status).json({ error: err.message, code: err.code });
+    return;
+  }
+  logFor(res.req).error("Realtime request error", { err });
+  res
+    .status(500)
+    .json({ error: "Failed to start the Realtime session", code: "internal" });
+}
@@ -0,0 +1,44 @@
+import express from "express";
+import { validate } from "../schema.js";
+
+const clientLogSchema = {
+  type: "object",
+  required: ["level", "message"],
+  additionalProperties: false,
+  properties: {
+    level: { type: "string", enum: ["error", "warn", "info"] },
+    message: { type: "string", minLength: 1 },
+    // Set once the failing page has an interview, to correlate with its logs
+    interviewId: { type: "string", minLength: 1 },
+    // X-Request-Id of the server response behind the error, if any
+    requestId: { type: "string", minLength: 1 },
+    context: { type: "object" },
+  },
+};
+
+export function createClientLogsRouter({ limiter }) {
+  const router = express.Router();
+  const json = express.json({ limit: "16kb" });
+
+  // Errors the candidate page reports, written to the server log
+  router.post("/client-logs", limiter, json, (req, res) => {
+    const errors = validate(clientLogSchema, req.body);
+    if (errors.length > 0) {
+      res.status(400).json({ error: "Invalid client log", details: errors });
+      return;
+    }
+
+    const { level, message, interviewId, requestId, context } = req.body;
+    req.log[level]("Client log", {
+      source: "client",
+      clientMessage: message,
+      interviewId,
+      clientRequestId: requestId,
+      context,
+      userAgent: req.get("User-Agent"),
+    });
+    res.status(204).end();
+  });
+
+  return router;
+}
@@ -0,0 +1,214 @@
+import express from "express";
+import { validate } from "../schema.js";
+import { requireInterviewSecret, requireRecruiter } from "../auth.js";
+import { toolDefinitions } from "../../shared/tools.js";
+import {
+  appendEvents,
+  completeInterview,
+  expireIfOverdue,
+  isPastDeadline,
+  summarizeInterview,
+} from "../interviews.js";
+import { summarizeProctoring } from "../proctoring.js";
+import { hasRubric } from "../scoring.js";
+
+const eventsSchema = {
+  type: "object",
+  required: ["events"],
+  properties: {
+    events: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["type"],
+        properties: {
+          type: { type: "string", minLength: 1 },
+          recorded_at: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+const completionSchema = toolDefinitions.complete_interview.parameters;
+
+export function createInterviewsRouter({
+  interviews,
+  recruiterApiKey,
+  interviewSecretKey,
+  scorer,
+}) {
+  const router = express.Router();
+  const json = express.json({ limit: "1mb" });
+  const recruiterOnly = requireRecruiter(recruiterApiKey);
+  const candidateOnly = requireInterviewSecret(interviewSecretKey);
+
+  // Nothing else closes an interview the candidate walked away from, so
+  // reads close overdue ones before showing them
+  async function closeIfOverdue(record, log) {
+    if (record.status !== "active" || !isPastDeadline(record)) return record;
+    const closed = await interviews.update(record.id, (r) => {
+      expireIfOverdue(r);
+    });
+    scorer.scoreCompleted(closed, log);
+    return closed;
+  }
+
+  // Interviews for review, newest first, optionally filtered by ?status=
+  router.get("/interviews", recruiterOnly, async (req, res) => {
+    try {
+      let records = await Promise.all(
+        (await interviews.list()).map((r) => closeIfOverdue(r, req.log)),
+      );
+      if (req.query.status) {
+        records = records.filter((r) => r.status === req.query.status);
+      }
+      records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      res.json({ interviews: records.map(summarizeInterview) });
+    } catch (error) {
+      req.log.error("Interview listing error", { err: error });
+      res.status(500).json({ error: "Failed to list interviews" });
+    }
+  });
+
+  router.get("/interviews/:id", recruiterOnly, async (req, res) => {
+    try {
+      let interview = await interviews.get(req.params.id);
+      if (!interview) {
+        res.status(404).json({ error: "Interview not found" });
+        return;
+      }
+      interview = await closeIfOverdue(interview, req.log);
+      res.json({
+        ...interview,
+        proctoringSummary: summarizeProctoring(interview),
+      });
+    } catch (error) {
+      req.log.error("Interview lookup error", { err: error });
+      res.status(500).json({ error: "Failed to load interview" });
+    }
+  });
+
+  // Batch of data channel events forwarded by the candidate client
+  router.post(
+    "/interviews/:id/events",
+    candidateOnly,
+    json,
+    async (req, res) => {
+      const errors = validate(eventsSchema, req.body);
+      if (errors.length > 0) {
+        res
+          .status(400)
+          .json({ error: "Invalid events payload", details: errors });
+        return;
+      }
+
+      try {
+        let expired = false;
+        let skipped = 0;
+        const interview = await interviews.update(req.params.id, (record) => {
+          // Past the limit the interview is over, whatever the client thinks
+          if (isPastDeadline(record)) {
+            expired = true;
+            expireIfOverdue(record);
+            return;
+          }
+          skipped = appendEvents(record, req.body.events);
+        });
+        if (!interview) {
+          res.status(404).json({ error: "Interview not found" });
+          return;
+        }
+        if (expired) {
+          scorer.scoreCompleted(interview, req.log);
+          res.status(410).json({ error: "Interview time limit has passed" });
+          return;
+        }
+        if (skipped > 0) {
+          req.log.warn("Skipped malformed interview events", {
+            interviewId: req.params.id,
+            skipped,
+          });
+        }
+        res.json({ received: req.body.events.length - skipped, skipped });
+      } catch (error) {
+        req.log.error("Interview event error", { err: error });
+        res.status(500).json({ error: "Failed to store events" });
+      }
+    },
+  );
+
+  // Score a finished interview from its transcript now, or again. Interviews
+  // are scored on their own once they end; this is for retries.
+  router.post("/interviews/:id/scores", recruiterOnly, async (req, res) => {
+    try {
+      const interview = await interviews.get(req.params.id);
+      if (!interview) {
+        res.status(404).json({ error: "Interview not found" });
+        return;
+      }
+      if (interview.status !== "completed") {
+        res.status(409).json({ error: "Interview is still in progress" });
+        return;
+      }
+      if (!hasRubric(interview.questions)) {
+        res.status(400).json({ error: "Interview questions have no rubric" });
+        return;
+      }
+      const scored = await scorer.score(interview.id, req.log);
+      if (scored.scoringError) {
+        res.status(502).json({ error: scored.scoringError });
+        return;
+      }
+      res.json(scored.scores);
+    } catch (error) {
+      req.log.error("Interview scoring error", { err: error });
+      res.status(500).json({ error: "Failed to score interview" });
+    }
+  });
+
+  // Result of the `complete_interview` tool, or the candidate ending early
+  router.post(
+    "/interviews/:id/complete",
+    candidateOnly,
+    json,
+    async (req, res) => {
+      const errors = validate(completionSchema, req.body);
+      if (errors.length > 0) {
+        res.status(400).json({ error: "Invalid completion", details: errors });
+        return;
+      }
+
+      try {
+        let alreadyCompleted = false;
+        const interview = await interviews.update(req.params.id, (record) => {
+          if (record.status === "completed") {
+            alreadyCompleted = true;
+            return;
+          }
+          completeInterview(
+            record,
+            isPastDeadline(record)
+              ? { ...req.body, reason: "time_up" }
+              : req.body,
+          );
+        });
+        if (!interview) {
+          res.status(404).json({ error: "Interview not found" });
+          return;
+        }
+        if (alreadyCompleted) {
+          res.status(409).json({ error: "Interview already completed" });
+          return;
+        }
+        scorer.scoreCompleted(interview, req.log);
+        res.json(summarizeInterview(interview));
+      } catch (error) {
+        req.log.error("Interview completion error", { err: error });
+        res.status(500).json({ error: "Failed to complete interview" });
+      }
+    },
+  );
+
+  return router;
+}
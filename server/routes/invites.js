@@ -0,0 +1,109 @@
+import express from "express";
+import { validate } from "../schema.js";
+import { requireRecruiter } from "../auth.js";
+import {
+  loadTemplate,
+  publicTemplate,
+  sendTemplateError,
+} from "../templates.js";
+import {
+  createInviteToken,
+  findRedeemableInvite,
+  sendInviteError,
+} from "../invites.js";
+
+const DEFAULT_EXPIRY_HOURS = 72;
+
+const inviteRequestSchema = {
+  type: "object",
+  required: ["name", "email", "templateId"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1 },
+    email: { type: "string", pattern: "^[^@\\s]+@[^@\\s]+$" },
+    templateId: { type: "string", minLength: 1 },
+    expiresInHours: { type: "integer", minimum: 1, maximum: 24 * 30 },
+  },
+};
+
+export function createInvitesRouter({
+  invites,
+  inviteSecret,
+  recruiterApiKey,
+  publicUrl,
+}) {
+  const router = express.Router();
+  const json = express.json();
+
+  // Create a candidate invite and return its signed link
+  router.post(
+    "/invites",
+    requireRecruiter(recruiterApiKey),
+    json,
+    async (req, res) => {
+      const errors = validate(inviteRequestSchema, req.body);
+      if (errors.length > 0) {
+        res.status(400).json({ error: "Invalid invite", details: errors });
+        return;
+      }
+
+      const { name, email, templateId } = req.body;
+      try {
+        await loadTemplate(templateId);
+      } catch (err) {
+        sendTemplateError(res, err);
+        return;
+      }
+
+      try {
+        const hours = req.body.expiresInHours || DEFAULT_EXPIRY_HOURS;
+        const invite = await invites.create({
+          candidate: { name, email },
+          templateId,
+          createdAt: new Date().toISOString(),
+          expiresAt: new Date(Date.now() + hours * 3600 * 1000).toISOString(),
+          usedAt: null,
+          interviewId: null,
+        });
+        const token = createInviteToken(inviteSecret, invite);
+        const baseUrl = publicUrl || `${req.protocol}://${req.get("host")}`;
+        res.status(201).json({
+          ...invite,
+          token,
+          url: `${baseUrl}/?invite=${encodeURIComponent(token)}`,
+        });
+      } catch (error) {
+        req.log.error("Invite creation error", { err: error });
+        res.status(500).json({ error: "Failed to create invite" });
+      }
+    },
+  );
+
+  // What the candidate page needs before starting: who and which interview
+  router.get("/invites/:token", async (req, res) => {
+    let invite;
+    try {
+      invite = await findRedeemableInvite(
+        invites,
+        inviteSecret,
+        req.params.token,
+      );
+    } catch (err) {
+      sendInviteError(res, err);
+      return;
+    }
+
+    try {
+      const template = await loadTemplate(invite.templateId);
+      res.json({
+        candidate: { name: invite.candidate.name },
+        expiresAt: invite.expiresAt,
+        template: publicTemplate(template),
+      });
+    } catch (err) {
+      sendTemplateError(res, err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,40 @@
+import express from "express";
+import path from "path";
+import {
+  AVATAR_ASSETS,
+  loadPersona,
+  personasDir,
+  sendPersonaError,
+} from "../personas.js";
+
+export function createPersonasRouter() {
+  const router = express.Router();
+
+  // One of a persona's avatar clips or its still image
+  router.get("/personas/:id/avatar/:asset", async (req, res) => {
+    const { id, asset } = req.params;
+    if (!AVATAR_ASSETS.includes(asset)) {
+      res.status(404).json({ error: `Unknown avatar asset: ${asset}` });
+      return;
+    }
+
+    let persona;
+    try {
+      persona = await loadPersona(id);
+    } catch (err) {
+      sendPersonaError(res, err);
+      return;
+    }
+    const file = persona.avatar[asset];
+    if (!file) {
+      res.status(404).json({ error: `Persona ${id} has no ${asset} avatar` });
+      return;
+    }
+    res.sendFile(file, {
+      root: path.join(personasDir, id),
+      maxAge: "1h",
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,132 @@
+import express from "express";
+import fs from "fs/promises";
+import path from "path";
+import { isPastDeadline } from "../interviews.js";
+import { requireInterviewSecret, requireRecruiter } from "../auth.js";
+
+// Container types MediaRecorder produces, and the file extension for each
+const RECORDING_TYPES = {
+  "video/webm": ".webm",
+  "audio/webm": ".webm",
+  "video/mp4": ".mp4",
+  "audio/mp4": ".mp4",
+};
+
+const MAX_CHUNK_SIZE = "20mb";
+
+export function createRecordingsRouter({
+  interviews,
+  recordingsDir,
+  recruiterApiKey,
+  interviewSecretKey,
+}) {
+  const router = express.Router();
+  const raw = express.raw({
+    type: Object.keys(RECORDING_TYPES),
+    limit: MAX_CHUNK_SIZE,
+  });
+
+  // Next chunk of the candidate's consented recording. Chunks are appended
+  // in order, so `?seq=` must be the number of chunks received so far; the
+  // first one also carries the client's `?startedAt=` for playback sync.
+  router.post(
+    "/interviews/:id/recording",
+    requireInterviewSecret(interviewSecretKey),
+    raw,
+    async (req, res) => {
+      const mimeType = req.get("Content-Type")?.split(";")[0].trim();
+      if (!RECORDING_TYPES[mimeType] || !Buffer.isBuffer(req.body)) {
+        res.status(415).json({
+          error: `Recording chunks must be one of ${Object.keys(RECORDING_TYPES).join(", ")}`,
+        });
+        return;
+      }
+      const seq = Number(req.query.seq);
+      if (!Number.isInteger(seq) || seq < 0) {
+        res.status(400).json({ error: "seq must be a non-negative integer" });
+        return;
+      }
+      const startedAt = Date.parse(req.query.startedAt);
+      if (seq === 0 && Number.isNaN(startedAt)) {
+        res.status(400).json({ error: "The first chunk needs startedAt" });
+        return;
+      }
+
+      try {
+        let refusal = null;
+        const interview = await interviews.update(
+          req.params.id,
+          async (record) => {
+            // The final chunk may land just after completion, but not after the limit
+            if (isPastDeadline(record)) {
+              refusal = {
+                status: 410,
+                error: "Interview time limit has passed",
+              };
+              return;
+            }
+            const received = record.recording?.chunks || 0;
+            if (seq !== received) {
+              refusal = { status: 409, error: `Expected chunk ${received}` };
+              return;
+            }
+
+            if (seq === 0) {
+              record.recording = {
+                file: `${record.id}${RECORDING_TYPES[mimeType]}`,
+                mimeType,
+                startedAt: new Date(startedAt).toISOString(),
+                chunks: 0,
+                bytes: 0,
+              };
+            }
+            await fs.mkdir(recordingsDir, { recursive: true });
+            // Chunk 0 creates the file, later ones extend it
+            const write = seq === 0 ? fs.writeFile : fs.appendFile;
+            await write(
+              path.join(recordingsDir, record.recording.file),
+              req.body,
+            );
+            record.recording.chunks += 1;
+            record.recording.bytes += req.body.length;
+            record.recording.updatedAt = new Date().toISOString();
+          },
+        );
+        if (!interview) {
+          res.status(404).json({ error: "Interview not found" });
+          return;
+        }
+        if (refusal) {
+          res.status(refusal.status).json({ error: refusal.error });
+          return;
+        }
+        res.json({ chunks: interview.recording.chunks });
+      } catch (error) {
+        req.log.error("Recording upload error", { err: error });
+        res.status(500).json({ error: "Failed to store recording" });
+      }
+    },
+  );
+
+  // Recording for playback in the review view (supports range requests)
+  router.get(
+    "/interviews/:id/recording",
+    requireRecruiter(recruiterApiKey),
+    async (req, res) => {
+      try {
+        const interview = await interviews.get(req.params.id);
+        if (!interview?.recording) {
+          res.status(404).json({ error: "Recording not found" });
+          return;
+        }
+        res.type(interview.recording.mimeType);
+        res.sendFile(interview.recording.file, { root: recordingsDir });
+      } catch (error) {
+        req.log.error("Recording lookup error", { err: error });
+        res.status(500).json({ error: "Failed to load recording" });
+      }
+    },
+  );
+
+  return router;
+}
@@ -0,0 +1,55 @@
+import express from "express";
+import { validate } from "../schema.js";
+import {
+  RECRUITER_COOKIE,
+  RECRUITER_SESSION_SECONDS,
+  createRecruiterSession,
+  isRecruiterKey,
+} from "../auth.js";
+
+const sessionSchema = {
+  type: "object",
+  required: ["apiKey"],
+  additionalProperties: false,
+  properties: { apiKey: { type: "string", minLength: 1 } },
+};
+
+export function createRecruiterRouter({ recruiterApiKey, limiter }) {
+  const router = express.Router();
+  const json = express.json({ limit: "4kb" });
+
+  // Signs the review pages in: trades the recruiter API key for a session
+  // cookie, so the key isn't kept in the browser
+  router.post("/recruiter/session", limiter, json, (req, res) => {
+    if (!recruiterApiKey) {
+      res.status(503).json({ error: "Recruiter API key is not configured" });
+      return;
+    }
+    const errors = validate(sessionSchema, req.body);
+    if (errors.length > 0) {
+      res.status(400).json({ error: "Invalid sign-in", details: errors });
+      return;
+    }
+    if (!isRecruiterKey(recruiterApiKey, req.body.apiKey)) {
+      req.log.warn("Recruiter sign-in rejected");
+      res.status(401).json({ error: "Invalid recruiter API key" });
+      return;
+    }
+
+    res.cookie(RECRUITER_COOKIE, createRecruiterSession(recruiterApiKey), {
+      httpOnly: true,
+      sameSite: "strict",
+      secure: req.secure,
+      path: "/",
+      maxAge: RECRUITER_SESSION_SECONDS * 1000,
+    });
+    res.status(204).end();
+  });
+
+  router.delete("/recruiter/session", (req, res) => {
+    res.clearCookie(RECRUITER_COOKIE, { path: "/" });
+    res.status(204).end();
+  });
+
+  return router;
+}
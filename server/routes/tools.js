@@ -0,0 +1,114 @@
+import express from "express";
+import { validate } from "../schema.js";
+import { requireInterviewSecret } from "../auth.js";
+import { toolDefinitions } from "../../shared/tools.js";
+import { isPastDeadline } from "../interviews.js";
+import { loadTemplate, sendTemplateError } from "../templates.js";
+import { runCode, SandboxError } from "../sandbox.js";
+
+// Tools that run on the server rather than in the candidate's browser
+const serverTools = {
+  run_code: (args) => runCode(args),
+};
+
+// At most this many snippets run at once
+const MAX_CONCURRENT_RUNS = 2;
+
+const toolRequestSchema = {
+  type: "object",
+  required: ["interviewId", "arguments"],
+  additionalProperties: false,
+  properties: {
+    interviewId: { type: "string", minLength: 1 },
+    arguments: { type: "object" },
+  },
+};
+
+export function createToolsRouter({ interviews, interviewSecretKey }) {
+  const router = express.Router();
+  const json = express.json({ limit: "256kb" });
+  const candidateOnly = requireInterviewSecret(
+    interviewSecretKey,
+    (req) => req.body?.interviewId,
+  );
+  let runningCode = 0;
+
+  // A tool call the client's tool dispatcher forwards for an interview. Only
+  // tools the interview's template enables may run. The output goes back
+  // through the candidate's browser, so no tool here may return anything the
+  // candidate must not see.
+  router.post("/tools/:name", json, candidateOnly, async (req, res) => {
+    const { name } = req.params;
+    const execute = serverTools[name];
+    if (!execute) {
+      res.status(404).json({ error: `Unknown server tool: ${name}` });
+      return;
+    }
+
+    const errors = validate(toolRequestSchema, req.body);
+    if (errors.length > 0) {
+      res.status(400).json({ error: "Invalid tool call", details: errors });
+      return;
+    }
+
+    let interview;
+    let template;
+    try {
+      interview = await interviews.get(req.body.interviewId);
+      if (!interview) {
+        res.status(404).json({ error: "Interview not found" });
+        return;
+      }
+      if (interview.status !== "active" || isPastDeadline(interview)) {
+        res.status(410).json({ error: "Interview is no longer active" });
+        return;
+      }
+      template = await loadTemplate(interview.templateId);
+    } catch (err) {
+      sendTemplateError(res, err);
+      return;
+    }
+    if (!template.tools.includes(name)) {
+      res
+        .status(403)
+        .json({ error: `${name} is not enabled for this interview` });
+      return;
+    }
+
+    const argErrors = validate(
+      toolDefinitions[name].parameters,
+      req.body.arguments,
+    );
+    if (argErrors.length > 0) {
+      res
+        .status(400)
+        .json({ error: "Invalid tool arguments", details: argErrors });
+      return;
+    }
+
+    if (name === "run_code" && runningCode >= MAX_CONCURRENT_RUNS) {
+      res.status(503).json({ error: "Too many snippets running; try again" });
+      return;
+    }
+
+    try {
+      if (name === "run_code") runningCode += 1;
+      const output = await execute(req.body.arguments, {
+        interview,
+        template,
+      });
+      res.json({ output });
+    } catch (error) {
+      req.log.error("Tool error", { tool: name, err: error });
+      if (error instanceof SandboxError) {
+        res.status(503).json({ error: error.message });
+        return;
+      }
+      res.status(500).json({ error: `Failed to run ${name}` });
+    } finally {
+      if (name === "run_code") runningCode -= 1;
+    }
+  });
+
+  return router;
+}
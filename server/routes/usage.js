@@ -0,0 +1,41 @@
+import express from "express";
+import { requireRecruiter } from "../auth.js";
+import { PricingError, loadPriceTable, summarizeUsage } from "../usage.js";
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function createUsageRouter({ interviews, recruiterApiKey }) {
+  const router = express.Router();
+
+  // Token usage and cost overall and per interview, template and day.
+  // Optional ?from= and ?to= (YYYY-MM-DD, UTC) limit the days counted, and
+  // ?templateId= the interviews.
+  router.get("/usage", requireRecruiter(recruiterApiKey), async (req, res) => {
+    const { from, to, templateId } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value !== undefined && !DAY_PATTERN.test(value)) {
+        res.status(400).json({ error: `${name} must be a YYYY-MM-DD date` });
+        return;
+      }
+    }
+
+    try {
+      const priceTable = await loadPriceTable();
+      let records = await interviews.list();
+      if (templateId) {
+        records = records.filter((r) => r.templateId === templateId);
+      }
+      res.json(summarizeUsage(records, priceTable, { from, to }));
+    } catch (error) {
+      if (error instanceof PricingError) {
+        req.log.error("Price table error", { details: error.details });
+        res.status(500).json({ error: error.message, details: error.details });
+        return;
+      }
+      req.log.error("Usage summary error", { err: error });
+      res.status(500).json({ error: "Failed to summarize usage" });
+    }
+  });
+
+  return router;
+}
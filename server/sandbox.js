@@ -0,0 +1,217 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+const TIME_LIMIT_MS = Number(process.env.RUN_CODE_TIMEOUT_MS) || 5000;
+const MEMORY_LIMIT_MB = Number(process.env.RUN_CODE_MEMORY_MB) || 128;
+const MAX_OUTPUT_BYTES = 10 * 1024;
+const BWRAP = process.env.RUN_CODE_BWRAP || "bwrap";
+const PYTHON = process.env.RUN_CODE_PYTHON || "/usr/bin/python3";
+
+// Where the snippet lives inside the sandbox
+const SANDBOX_DIR = "/sandbox";
+
+// How to run a snippet saved as `file` (a path inside the sandbox), and the
+// install directory the runtime needs mounted. Python is capped with ulimit;
+// V8 can't start under one, so Node gets a heap limit instead.
+const runtimes = {
+  javascript: {
+    file: "main.js",
+    root: path.dirname(path.dirname(process.execPath)),
+    command: (file) => [
+      process.execPath,
+      `--max-old-space-size=${MEMORY_LIMIT_MB}`,
+      "--no-warnings",
+      file,
+    ],
+  },
+  python: {
+    file: "main.py",
+    root: path.dirname(path.dirname(PYTHON)),
+    command: (file) => [
+      "/bin/sh",
+      "-c",
+      `ulimit -v ${MEMORY_LIMIT_MB * 1024} && exec "${PYTHON}" -I -S "$0"`,
+      file,
+    ],
+  },
+};
+
+export class SandboxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SandboxError";
+  }
+}
+
+// Seccomp filter (classic BPF, as bwrap's --seccomp takes it) that stops the
+// snippet from starting processes: fork and vfork fail, clone fails unless it
+// makes a thread (V8 needs those), and clone3 reports ENOSYS so libc falls
+// back to clone. Anything not for this machine's architecture is killed.
+const SYSCALLS = {
+  x64: { arch: 0xc000003e, clone: 56, fork: 57, vfork: 58, clone3: 435 },
+  arm64: { arch: 0xc00000b7, clone: 220, clone3: 435 },
+};
+const CLONE_THREAD = 0x10000;
+const RET_ALLOW = 0x7fff0000;
+const RET_KILL = 0x80000000;
+const RET_EPERM = 0x00050000 | 1;
+const RET_ENOSYS = 0x00050000 | 38;
+
+function seccompFilter() {
+  const nr = SYSCALLS[process.arch];
+  if (!nr) {
+    throw new SandboxError(`run_code does not support ${process.arch}`);
+  }
+  const load = (offset) => [0x20, 0, 0, offset];
+  const ret = (value) => [0x06, 0, 0, value];
+  const program = [
+    load(4), // arch
+    [0x15, 1, 0, nr.arch],
+    ret(RET_KILL),
+    load(0), // syscall number
+    [0x35, 0, 1, 0x40000000], // x32 ABI
+    ret(RET_KILL),
+    [0x15, 0, 1, nr.clone3],
+    ret(RET_ENOSYS),
+    ...(nr.fork
+      ? [
+          [0x15, 0, 1, nr.fork],
+          ret(RET_EPERM),
+          [0x15, 0, 1, nr.vfork],
+          ret(RET_EPERM),
+        ]
+      : []),
+    [0x15, 0, 3, nr.clone],
+    load(16), // low half of the flags argument
+    [0x45, 1, 0, CLONE_THREAD],
+    ret(RET_EPERM),
+    ret(RET_ALLOW),
+  ];
+  const buffer = Buffer.alloc(program.length * 8);
+  program.forEach(([code, jt, jf, k], i) => {
+    buffer.writeUInt16LE(code, i * 8);
+    buffer.writeUInt8(jt, i * 8 + 2);
+    buffer.writeUInt8(jf, i * 8 + 3);
+    buffer.writeUInt32LE(k, i * 8 + 4);
+  });
+  return buffer;
+}
+
+// bwrap arguments: every namespace unshared (so no network), nothing of the
+// host but the system directories and the runtime, read-only, plus the
+// snippet's directory. The environment is empty, so no API keys.
+function sandboxArgs(runtime, dir) {
+  return [
+    "--unshare-all",
+    "--die-with-parent",
+    "--new-session",
+    "--cap-drop",
+    "ALL",
+    "--ro-bind",
+    "/usr",
+    "/usr",
+    ...["/bin", "/lib", "/lib64", "/etc/alternatives"].flatMap((p) => [
+      "--ro-bind-try",
+      p,
+      p,
+    ]),
+    "--ro-bind",
+    runtime.root,
+    runtime.root,
+    "--ro-bind",
+    dir,
+    SANDBOX_DIR,
+    "--tmpfs",
+    "/tmp",
+    "--proc",
+    "/proc",
+    "--dev",
+    "/dev",
+    "--chdir",
+    SANDBOX_DIR,
+    "--clearenv",
+    "--setenv",
+    "PATH",
+    "/usr/bin:/bin",
+    "--seccomp",
+    "3",
+    "--",
+    ...runtime.command(path.posix.join(SANDBOX_DIR, runtime.file)),
+  ];
+}
+
+// Collects a stream up to MAX_OUTPUT_BYTES
+function capture(stream) {
+  const result = { text: "", truncated: false };
+  let size = 0;
+  stream.on("data", (chunk) => {
+    if (size >= MAX_OUTPUT_BYTES) {
+      result.truncated = true;
+      return;
+    }
+    const room = MAX_OUTPUT_BYTES - size;
+    result.text += chunk.subarray(0, room).toString();
+    result.truncated ||= chunk.length > room;
+    size += chunk.length;
+  });
+  return result;
+}
+
+// Run a candidate's snippet inside a bubblewrap sandbox with no network, no
+// view of the server's files, no way to start processes, a time and memory
+// limit and an empty environment. Without bwrap nothing runs.
+export async function runCode({ language, code }) {
+  const runtime = runtimes[language];
+  const filter = seccompFilter();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "run-code-"));
+  try {
+    await fs.writeFile(path.join(dir, runtime.file), code);
+    // Own process group, so a timeout takes everything in the sandbox down
+    const child = spawn(BWRAP, sandboxArgs(runtime, dir), {
+      env: {},
+      detached: true,
+      stdio: ["ignore", "pipe", "pipe", "pipe"],
+    });
+    // bwrap reads the filter from fd 3; if it never starts, the error
+    // below says why
+    child.stdio[3].on("error", () => {});
+    child.stdio[3].end(filter);
+    const stdout = capture(child.stdout);
+    const stderr = capture(child.stderr);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, "SIGKILL");
+      } catch {
+        // already gone
+      }
+    }, TIME_LIMIT_MS);
+
+    const exitCode = await new Promise((resolve, reject) => {
+      child.on("error", (err) =>
+        reject(
+          err.code === "ENOENT"
+            ? new SandboxError(
+                `run_code needs bubblewrap; ${BWRAP} was not found`,
+              )
+            : err,
+        ),
+      );
+      child.on("close", (code, signal) => resolve(code ?? signal));
+    }).finally(() => clearTimeout(timer));
+
+    return {
+      exit_code: exitCode,
+      stdout: stdout.text,
+      stderr: stderr.text,
+      timed_out: timedOut,
+      truncated: stdout.truncated || stderr.truncated,
+    };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
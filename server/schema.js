@@ -0,0 +1,86 @@
+// Minimal JSON Schema validator covering the subset of keywords used by
+// interview templates and API payloads: type, enum, required, properties,
+// additionalProperties (false, or a schema for the other values), items,
+// minItems, minLength, pattern, minimum and maximum.
+export function validate(schema, value, path = "$") {
+  const errors = [];
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(`${path} must be of type ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validate(schema.items, item, `${path}[${i}]`));
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(properties[key], child, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(
+          ...validate(schema.additionalProperties, child, `${path}.${key}`),
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case "object":
+      return isPlainObject(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
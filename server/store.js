@@ -0,0 +1,91 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Record stores implement this interface so the JSON-file store can be
+// swapped for a database later:
+//   create(record)     -> stored record with a generated `id`
+//   get(id)            -> record, or null when missing
+//   list()             -> all records
+//   update(id, mutate) -> record after `mutate(record)` ran, or null
+// `mutate` changes the record in place; updates to one id are serialized.
+export function createJsonFileStore(dir) {
+  const locks = new Map();
+  let ready = null;
+
+  function ensureDir() {
+    ready ||= fs.mkdir(dir, { recursive: true });
+    return ready;
+  }
+
+  function fileFor(id) {
+    if (!/^[a-z0-9-]+$/i.test(id)) return null;
+    return path.join(dir, `${id}.json`);
+  }
+
+  async function read(id) {
+    const file = fileFor(id);
+    if (!file) return null;
+    try {
+      return JSON.parse(await fs.readFile(file, "utf-8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  // Write through a temp file so readers never see a half-written record
+  async function write(record) {
+    const file = fileFor(record.id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(record, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  function withLock(id, task) {
+    const previous = locks.get(id) || Promise.resolve();
+    const next = previous.then(task, task);
+    const settled = next.catch(() => {});
+    locks.set(id, settled);
+    settled.then(() => {
+      if (locks.get(id) === settled) locks.delete(id);
+    });
+    return next;
+  }
+
+  return {
+    async create(record) {
+      await ensureDir();
+      const stored = { ...record, id: crypto.randomUUID() };
+      await write(stored);
+      return stored;
+    },
+
+    async get(id) {
+      await ensureDir();
+      return read(id);
+    },
+
+    async list() {
+      await ensureDir();
+      const files = await fs.readdir(dir);
+      const records = await Promise.all(
+        files
+          .filter((name) => name.endsWith(".json"))
+          .map((name) => read(name.slice(0, -".json".length))),
+      );
+      return records.filter(Boolean);
+    },
+
+    async update(id, mutate) {
+      await ensureDir();
+      return withLock(id, async () => {
+        const record = await read(id);
+        if (!record) return null;
+        await mutate(record);
+        await write(record);
+        return record;
+      });
+    },
+  };
+}
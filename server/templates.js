@@ -0,0 +1,223 @@
+import fs from "fs/promises";
+import path from "path";
+import { validate } from "./schema.js";
+import { toolDefinitions } from "../shared/tools.js";
+import { buildKickoffPrompt } from "./prompts.js";
+import { DEFAULT_LANGUAGE, languages } from "./languages.js";
+import {
+  PERSONA_ID_PATTERN,
+  PersonaError,
+  loadPersona,
+  publicPersona,
+} from "./personas.js";
+import { logFor } from "./logger.js";
+
+const templatesDir = path.resolve(process.env.TEMPLATES_DIR || "./templates");
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const DEFAULT_WARNING_SECONDS = 60;
+
+export const templateSchema = {
+  type: "object",
+  required: [
+    "roleTitle",
+    "companyName",
+    "questions",
+    "persona",
+    "timeLimitSeconds",
+    "tools",
+  ],
+  additionalProperties: false,
+  properties: {
+    roleTitle: { type: "string", minLength: 1 },
+    companyName: { type: "string", minLength: 1 },
+    questions: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["id", "text"],
+        additionalProperties: false,
+        properties: {
+          id: { type: "string", minLength: 1 },
+          text: { type: "string", minLength: 1 },
+          rubric: {
+            type: "array",
+            minItems: 1,
+            items: {
+              type: "object",
+              required: ["id", "description"],
+              additionalProperties: false,
+              properties: {
+                id: { type: "string", minLength: 1 },
+                description: { type: "string", minLength: 1 },
+              },
+            },
+          },
+        },
+      },
+    },
+    // Id of the interviewer persona in the personas directory
+    persona: { type: "string", pattern: PERSONA_ID_PATTERN },
+    // Overrides the persona's voice
+    voice: { type: "string", minLength: 1 },
+    // Language the interview is held in (English by default)
+    language: { type: "string", enum: Object.keys(languages) },
+    timeLimitSeconds: { type: "integer", minimum: 60 },
+    // Remaining time at which the interviewer is told to start wrapping up
+    warningSeconds: { type: "integer", minimum: 0 },
+    tools: {
+      type: "array",
+      items: { type: "string", enum: Object.keys(toolDefinitions) },
+    },
+    // Lets the candidate type answers as well as speak (on by default)
+    textInput: { type: "boolean" },
+    // Records tab switches, focus loss, copy/paste and face presence
+    proctoring: { type: "boolean" },
+    // Gives the candidate a code editor for live coding questions
+    codeEditor: {
+      type: "object",
+      required: ["languages"],
+      additionalProperties: false,
+      properties: {
+        languages: {
+          type: "array",
+          minItems: 1,
+          items: { type: "string", minLength: 1 },
+        },
+      },
+    },
+  },
+};
+
+export class TemplateError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = "TemplateError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Read and validate a template from the templates directory
+export async function loadTemplate(id) {
+  if (!id) {
+    throw new TemplateError("Missing template id", 400);
+  }
+  if (!TEMPLATE_ID_PATTERN.test(id)) {
+    throw new TemplateError(`Invalid template id: ${id}`, 400);
+  }
+
+  let raw;
+  try {
+    raw = await fs.readFile(path.join(templatesDir, `${id}.json`), "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw new TemplateError(`Unknown template: ${id}`, 404);
+    }
+    throw err;
+  }
+
+  let template;
+  try {
+    template = JSON.parse(raw);
+  } catch (err) {
+    throw new TemplateError(`Template ${id} is not valid JSON`, 500, [
+      err.message,
+    ]);
+  }
+
+  const errors = validate(templateSchema, template);
+  if (errors.length === 0) {
+    errors.push(...checkConsistency(template));
+  }
+  if (errors.length > 0) {
+    throw new TemplateError(`Template ${id} is invalid`, 500, errors);
+  }
+
+  let persona;
+  try {
+    persona = await loadPersona(template.persona);
+  } catch (err) {
+    if (err instanceof PersonaError) {
+      throw new TemplateError(`Template ${id} is invalid`, 500, [
+        `$.persona: ${err.message}`,
+        ...(err.details || []),
+      ]);
+    }
+    throw err;
+  }
+
+  return {
+    id,
+    warningSeconds: DEFAULT_WARNING_SECONDS,
+    textInput: true,
+    proctoring: false,
+    language: DEFAULT_LANGUAGE,
+    ...template,
+    persona,
+    voice: template.voice || persona.voice,
+  };
+}
+
+// Rules the schema can't express: unique ids, and a wrap-up warning that
+// comes before the end
+function checkConsistency(template) {
+  const errors = [];
+  const questionIds = new Set();
+  template.questions.forEach((question, i) => {
+    if (questionIds.has(question.id)) {
+      errors.push(`$.questions[${i}].id duplicates ${question.id}`);
+    }
+    questionIds.add(question.id);
+
+    const criterionIds = new Set();
+    (question.rubric || []).forEach((criterion, j) => {
+      if (criterionIds.has(criterion.id)) {
+        errors.push(
+          `$.questions[${i}].rubric[${j}].id duplicates ${criterion.id}`,
+        );
+      }
+      criterionIds.add(criterion.id);
+    });
+  });
+  // Checked before defaults are applied, so a template that leaves out
+  // warningSeconds is held to the default
+  const warningSeconds = template.warningSeconds ?? DEFAULT_WARNING_SECONDS;
+  if (warningSeconds >= template.timeLimitSeconds) {
+    errors.push(
+      `$.warningSeconds (${warningSeconds}) must be less than $.timeLimitSeconds`,
+    );
+  }
+  return errors;
+}
+
+// Fields the candidate UI needs. GET /templates/:id serves this without
+// authentication, so question texts are left out; the interviewer only
+// learns them from the session instructions once an invite is redeemed.
+export function publicTemplate(template) {
+  return {
+    id: template.id,
+    roleTitle: template.roleTitle,
+    companyName: template.companyName,
+    language: template.language,
+    persona: publicPersona(template.persona),
+    questionCount: template.questions.length,
+    timeLimitSeconds: template.timeLimitSeconds,
+    warningSeconds: template.warningSeconds,
+    tools: template.tools,
+    textInput: template.textInput,
+    proctoring: template.proctoring,
+    codeEditor: template.codeEditor || null,
+    kickoff: buildKickoffPrompt(template),
+  };
+}
+
+// Express error responder shared by routes that load templates
+export function sendTemplateError(res, err) {
+  if (err instanceof TemplateError) {
+    res.status(err.status).json({ error: err.message, details: err.details });
+    return;
+  }
+  logFor(res.req).error("Template loading error", { err });
+  res.status(500).json({ error: "Failed to load template" });
+}
@@ -0,0 +1,137 @@
+// Assembles a turn-by-turn transcript from Realtime data channel events.
+// Turns are keyed by conversation item id and kept in the order they first
+// appeared, so audio transcripts that finish late stay in place.
+
+const ROLES = {
+  user: "candidate",
+  assistant: "interviewer",
+};
+
+function findOrCreateTurn(transcript, itemId, role, at) {
+  let turn = transcript.find((t) => t.itemId === itemId);
+  if (!turn) {
+    turn = { itemId, role, text: "", startedAt: at, completedAt: null };
+    transcript.push(turn);
+  }
+  return turn;
+}
+
+// Content parts of a conversation item; anything that isn't a list of
+// objects counts as none
+function contentParts(item) {
+  return Array.isArray(item.content)
+    ? item.content.filter((part) => part && typeof part === "object")
+    : [];
+}
+
+function textFromContent(parts) {
+  return parts
+    .map((part) => String(part.text || part.transcript || ""))
+    .join("")
+    .trim();
+}
+
+// Fold one event into the transcript array (mutates `transcript`)
+export function applyTranscriptEvent(transcript, event, at) {
+  // Recorded by the client itself rather than received from the model
+  if (event.type === "interview.question.skipped") {
+    transcript.push({
+      itemId: event.event_id,
+      role: "system",
+      text: `Candidate skipped question ${event.question_number}`,
+      startedAt: at,
+      completedAt: at,
+    });
+    return;
+  }
+
+  if (event.type === "interview.connection.resumed") {
+    transcript.push({
+      itemId: event.event_id,
+      role: "system",
+      text: "Connection dropped and was restored",
+      startedAt: at,
+      completedAt: at,
+    });
+    return;
+  }
+
+  // Code editor contents the candidate shared; the message the model got
+  // with the same item id is left out of the transcript
+  if (event.type === "interview.code.snapshot") {
+    transcript.push({
+      itemId: event.item_id,
+      role: "code",
+      language: event.language,
+      text: event.code,
+      trigger: event.trigger,
+      startedAt: at,
+      completedAt: at,
+    });
+    return;
+  }
+
+  if (!event.item_id && !event.item) return;
+
+  switch (event.type) {
+    case "conversation.item.created":
+    case "conversation.item.added":
+    case "conversation.item.done": {
+      const { item } = event;
+      if (!item || item.type !== "message" || !ROLES[item.role]) return;
+      if (transcript.some((t) => t.itemId === item.id && t.role === "code")) {
+        return;
+      }
+      const turn = findOrCreateTurn(transcript, item.id, ROLES[item.role], at);
+      // Spoken turns arrive as input_audio; input_text means the candidate typed
+      const parts = contentParts(item);
+      if (item.role === "user") {
+        turn.typed = parts.some((p) => p.type === "input_text");
+      }
+      const text = textFromContent(parts);
+      if (text) {
+        turn.text = text;
+        turn.completedAt ||= at;
+      }
+      return;
+    }
+
+    case "conversation.item.input_audio_transcription.delta": {
+      const turn = findOrCreateTurn(transcript, event.item_id, "candidate", at);
+      if (!turn.completedAt) turn.text += event.delta || "";
+      return;
+    }
+
+    case "conversation.item.input_audio_transcription.completed": {
+      const turn = findOrCreateTurn(transcript, event.item_id, "candidate", at);
+      turn.text = String(event.transcript || "").trim();
+      turn.completedAt = at;
+      return;
+    }
+
+    case "response.output_audio_transcript.delta":
+    case "response.output_text.delta": {
+      const turn = findOrCreateTurn(
+        transcript,
+        event.item_id,
+        "interviewer",
+        at,
+      );
+      if (!turn.completedAt) turn.text += event.delta || "";
+      return;
+    }
+
+    case "response.output_audio_transcript.done":
+    case "response.output_text.done": {
+      const turn = findOrCreateTurn(
+        transcript,
+        event.item_id,
+        "interviewer",
+        at,
+      );
+      turn.text = String(event.transcript ?? event.text ?? turn.text).trim();
+      turn.completedAt = at;
+      return;
+    }
+  }
+}
@@ -0,0 +1,255 @@
+import fs from "fs/promises";
+import path from "path";
+import { validate } from "./schema.js";
+import { REALTIME_MODEL, TRANSCRIPTION_MODEL } from "./realtime.js";
+
+const pricingFile = path.resolve(process.env.PRICING_FILE || "./pricing.json");
+
+// Token counts kept for each model response or transcription
+export const TOKEN_KINDS = [
+  "inputText",
+  "cachedInputText",
+  "inputAudio",
+  "cachedInputAudio",
+  "outputText",
+  "outputAudio",
+];
+
+const priceSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: Object.fromEntries(
+    TOKEN_KINDS.map((kind) => [kind, { type: "number", minimum: 0 }]),
+  ),
+};
+
+// USD (or `currency`) per million tokens of each kind, by model
+export const priceTableSchema = {
+  type: "object",
+  required: ["currency", "perMillionTokens"],
+  additionalProperties: false,
+  properties: {
+    currency: { type: "string", minLength: 1 },
+    perMillionTokens: {
+      type: "object",
+      additionalProperties: priceSchema,
+    },
+  },
+};
+
+export class PricingError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = "PricingError";
+    this.details = details;
+  }
+}
+
+export async function loadPriceTable() {
+  let table;
+  try {
+    table = JSON.parse(await fs.readFile(pricingFile, "utf-8"));
+  } catch (err) {
+    throw new PricingError(`Could not read price table ${pricingFile}`, [
+      err.message,
+    ]);
+  }
+  const errors = validate(priceTableSchema, table);
+  if (errors.length > 0) {
+    throw new PricingError("Price table is invalid", errors);
+  }
+  return table;
+}
+
+// Usage entry for a response.done or transcription event, or null. Cached
+// tokens are counted within the input totals, as OpenAI reports them.
+function usageEntry(event, at) {
+  if (event.type === "response.done" && event.response?.usage) {
+    const {
+      input_token_details: input = {},
+      output_token_details: output = {},
+    } = event.response.usage;
+    const cached = input.cached_tokens_details || {};
+    return {
+      id: event.response.id,
+      kind: "response",
+      model: REALTIME_MODEL,
+      at,
+      tokens: {
+        inputText: input.text_tokens || 0,
+        cachedInputText: cached.text_tokens || 0,
+        inputAudio: input.audio_tokens || 0,
+        cachedInputAudio: cached.audio_tokens || 0,
+        outputText: output.text_tokens || 0,
+        outputAudio: output.audio_tokens || 0,
+      },
+    };
+  }
+
+  if (
+    event.type === "conversation.item.input_audio_transcription.completed" &&
+    event.usage?.type === "tokens"
+  ) {
+    const input = event.usage.input_token_details || {};
+    return {
+      id: `${event.item_id}:${event.content_index ?? 0}`,
+      kind: "transcription",
+      model: TRANSCRIPTION_MODEL,
+      at,
+      tokens: {
+        inputText: input.text_tokens || 0,
+        cachedInputText: 0,
+        inputAudio: input.audio_tokens || 0,
+        cachedInputAudio: 0,
+        outputText: event.usage.output_tokens || 0,
+        outputAudio: 0,
+      },
+    };
+  }
+
+  return null;
+}
+
+// Usage entry for a Responses API call made with `model`, such as the one
+// that scores an interview
+export function scoringUsageEntry(response, model, at) {
+  const usage = response.usage || {};
+  return {
+    id: response.id,
+    kind: "scoring",
+    model,
+    at,
+    tokens: {
+      inputText: usage.input_tokens || 0,
+      cachedInputText: usage.input_tokens_details?.cached_tokens || 0,
+      inputAudio: 0,
+      cachedInputAudio: 0,
+      outputText: usage.output_tokens || 0,
+      outputAudio: 0,
+    },
+  };
+}
+
+// Fold one event's token usage into `usage` (mutates it). Events uploaded
+// twice are only counted once.
+export function applyUsageEvent(usage, event, at) {
+  const entry = usageEntry(event, at);
+  if (entry && !usage.some((u) => u.id === entry.id)) {
+    usage.push(entry);
+  }
+}
+
+function emptyTokens() {
+  return Object.fromEntries(TOKEN_KINDS.map((kind) => [kind, 0]));
+}
+
+// Cost of one entry, or null when its model has no prices
+export function costOf(entry, priceTable) {
+  const prices = priceTable.perMillionTokens[entry.model];
+  if (!prices) return null;
+  const { tokens } = entry;
+  const billed = {
+    ...tokens,
+    inputText: tokens.inputText - tokens.cachedInputText,
+    inputAudio: tokens.inputAudio - tokens.cachedInputAudio,
+  };
+  return TOKEN_KINDS.reduce(
+    (sum, kind) => sum + (billed[kind] * (prices[kind] || 0)) / 1e6,
+    0,
+  );
+}
+
+function newTotals(fields) {
+  return {
+    ...fields,
+    responses: 0,
+    transcriptions: 0,
+    scorings: 0,
+    tokens: emptyTokens(),
+    cost: 0,
+    unpricedModels: [],
+  };
+}
+
+// Totals field counting the entries of each kind
+const COUNTS = {
+  response: "responses",
+  transcription: "transcriptions",
+  scoring: "scorings",
+};
+
+function addEntry(totals, entry, cost) {
+  totals[COUNTS[entry.kind]] += 1;
+  for (const kind of TOKEN_KINDS) {
+    totals.tokens[kind] += entry.tokens[kind];
+  }
+  if (cost === null) {
+    if (!totals.unpricedModels.includes(entry.model)) {
+      totals.unpricedModels.push(entry.model);
+    }
+  } else {
+    totals.cost += cost;
+  }
+}
+
+function roundCosts(totals) {
+  return { ...totals, cost: Math.round(totals.cost * 1e6) / 1e6 };
+}
+
+// Totals over every interview's usage entries, overall and per interview,
+// template and UTC day. `from`/`to` (YYYY-MM-DD, inclusive) limit the days.
+export function summarizeUsage(interviews, priceTable, { from, to } = {}) {
+  const overall = newTotals({});
+  const byInterview = new Map();
+  const byTemplate = new Map();
+  const byDay = new Map();
+
+  for (const interview of interviews) {
+    for (const entry of interview.usage || []) {
+      const day = entry.at.slice(0, 10);
+      if ((from && day < from) || (to && day > to)) continue;
+
+      const cost = costOf(entry, priceTable);
+      if (!byInterview.has(interview.id)) {
+        byInterview.set(
+          interview.id,
+          newTotals({
+            interviewId: interview.id,
+            templateId: interview.templateId,
+            candidate: interview.candidate?.name ?? null,
+            createdAt: interview.createdAt,
+          }),
+        );
+      }
+      if (!byTemplate.has(interview.templateId)) {
+        byTemplate.set(
+          interview.templateId,
+          newTotals({ templateId: interview.templateId }),
+        );
+      }
+      if (!byDay.has(day)) {
+        byDay.set(day, newTotals({ day }));
+      }
+      for (const totals of [
+        overall,
+        byInterview.get(interview.id),
+        byTemplate.get(interview.templateId),
+        byDay.get(day),
+      ]) {
+        addEntry(totals, entry, cost);
+      }
+    }
+  }
+
+  return {
+    currency: priceTable.currency,
+    totals: roundCosts(overall),
+    byInterview: [...byInterview.values()]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(roundCosts),
+    byTemplate: [...byTemplate.values()].map(roundCosts),
+    byDay: [...byDay.values()]
+      .sort((a, b) => a.day.localeCompare(b.day))
+      .map(roundCosts),
+  };
+}
@@ -0,0 +1,71 @@
+// Function tools that interview templates can enable by name: the schemas the
+// model is given. The client registry (client/lib/tools) attaches a handler
+// to each, and the server checks what the client reports back against them.
+export const toolDefinitions = {
+  advance_question: {
+    type: "function",
+    name: "advance_question",
+    description:
+      "Report that you are moving on to another interview question. Call it right before asking that question.",
+    parameters: {
+      type: "object",
+      required: ["question_number"],
+      properties: {
+        question_number: {
+          type: "integer",
+          minimum: 1,
+          description:
+            "Number of the question you are about to ask, as numbered in your instructions (the first question is 1).",
+        },
+      },
+    },
+  },
+  complete_interview: {
+    type: "function",
+    name: "complete_interview",
+    description:
+      "Signal that the interview has concluded. Provide a brief optional summary and/or reason.",
+    parameters: {
+      type: "object",
+      properties: {
+        summary: {
+          type: "string",
+          description:
+            "Short wrap-up message for the candidate or internal summary (1-3 sentences).",
+        },
+        reason: {
+          type: "string",
+          enum: [
+            "finished_all_questions",
+            "time_up",
+            "user_requested",
+            "other",
+          ],
+          description: "Why the interview ended.",
+        },
+      },
+    },
+  },
+  run_code: {
+    type: "function",
+    name: "run_code",
+    description:
+      "Run a short code snippet from the candidate and return its output, to check whether it works. It runs on its own with a few seconds of time and limited memory, and cannot read input.",
+    parameters: {
+      type: "object",
+      required: ["language", "code"],
+      properties: {
+        language: {
+          type: "string",
+          enum: ["javascript", "python"],
+          description: "Language of the snippet.",
+        },
+        code: {
+          type: "string",
+          minLength: 1,
+          description: "Complete program to run; print results to stdout.",
+        },
+      },
+    },
+  },
+};
@@ -6,5 +6,8 @@ const path = fileURLToPath(import.meta.url);
 
 export default {
   root: join(dirname(path), "client"),
+  // .env lives next to this file, not in client/. Only VITE_ variables
+  // reach the browser, so the server's secrets in it stay out of the bundle.
+  envDir: dirname(path),
   plugins: [react()],
 };